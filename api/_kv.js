@@ -0,0 +1,48 @@
+// Key-value store shared by the API routes
+// Uses Vercel KV when its credentials are configured, otherwise a local
+// stand-in so runs can be saved without Vercel: file-backed when KV_FILE
+// is set, in-memory otherwise
+import { existsSync, readFileSync, writeFileSync } from 'fs';
+
+export function createLocalKV(file) {
+  const data = file && existsSync(file) ? JSON.parse(readFileSync(file, 'utf8')) : {};
+
+  const persist = () => {
+    if (file) {
+      writeFileSync(file, JSON.stringify(data));
+    }
+  };
+
+  return {
+    async get(key) {
+      return key in data ? structuredClone(data[key]) : null;
+    },
+
+    async set(key, value) {
+      data[key] = structuredClone(value);
+      persist();
+      return 'OK';
+    },
+
+    async del(key) {
+      const existed = key in data;
+      delete data[key];
+      persist();
+      return existed ? 1 : 0;
+    }
+  };
+}
+
+// Vercel KV is only loaded when configured, so the local stand-in works
+// without installing it
+async function loadVercelKV() {
+  try {
+    return (await import('@vercel/kv')).kv;
+  } catch (error) {
+    throw new Error(`KV_REST_API_URL is set but @vercel/kv could not be loaded (${error.message}); run npm install`);
+  }
+}
+
+export const kv = process.env.KV_REST_API_URL
+  ? await loadVercelKV()
+  : createLocalKV(process.env.KV_FILE);
@@ -1,8 +1,8 @@
 // FILE 2: api/get-data.js
-import { kv } from '@vercel/kv';
+import { kv } from './_kv.js';
 
 export default async function handler(req, res) {
-  const { id, list } = req.query;
+  const { id, list, chunk } = req.query;
 
   try {
     if (list === 'true') {
@@ -11,6 +11,15 @@ export default async function handler(req, res) {
       return res.status(200).json({ simulations: simList });
     }
 
+    if (id && chunk !== undefined) {
+      // Return one chunk of a compressed simulation
+      const data = await kv.get(`${id}:chunk:${chunk}`);
+      if (data === null) {
+        return res.status(404).json({ error: 'Chunk not found' });
+      }
+      return res.status(200).json({ data });
+    }
+
     if (id) {
       // Return specific simulation
       const data = await kv.get(id);
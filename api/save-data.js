@@ -1,5 +1,5 @@
 // FILE 1: api/save-data.js
-import { kv } from '@vercel/kv';
+import { kv } from './_kv.js';
 
 export default async function handler(req, res) {
   if (req.method !== 'POST') {
@@ -9,6 +9,16 @@ export default async function handler(req, res) {
   try {
     const simulationData = req.body;
     const id = simulationData.id || `sim-${Date.now()}`;
+
+    // One chunk of a compressed run, stored on its own; the run entry
+    // naming its chunks is saved (and listed) after the last one
+    if (simulationData.chunk !== undefined) {
+      if (!simulationData.id || !Number.isInteger(simulationData.chunk) || simulationData.chunk < 0) {
+        return res.status(400).json({ error: 'Invalid chunk' });
+      }
+      await kv.set(`${id}:chunk:${simulationData.chunk}`, simulationData.data);
+      return res.status(200).json({ success: true, id });
+    }
     
     // Save the simulation data
     await kv.set(id, simulationData);
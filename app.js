@@ -23,7 +23,10 @@ const ASSET_CONFIGS = {
         maxPosition: 0.5,   // Max position in asset units
         initPrice: 95000,   // Starting price for simulation
         coinId: 'bitcoin',  // CoinGecko API ID
-        decimals: 0         // Price display decimals
+        symbol: 'BTCUSDT',  // Exchange symbol for WebSocket feeds
+        decimals: 0,        // Price display decimals
+        maintenanceMargin: 0.005, // Maintenance margin rate (fraction of notional)
+        annualVol: 0.6      // Annualized volatility of simulated prices
     },
     ETH: {
         kVol: 0.25,
@@ -32,7 +35,10 @@ const ASSET_CONFIGS = {
         maxPosition: 5,
         initPrice: 3300,
         coinId: 'ethereum',
-        decimals: 2
+        symbol: 'ETHUSDT',
+        decimals: 2,
+        maintenanceMargin: 0.005,
+        annualVol: 0.8
     },
     SOL: {
         kVol: 0.3,
@@ -41,7 +47,10 @@ const ASSET_CONFIGS = {
         maxPosition: 50,
         initPrice: 190,
         coinId: 'solana',
-        decimals: 3
+        symbol: 'SOLUSDT',
+        decimals: 3,
+        maintenanceMargin: 0.01,
+        annualVol: 1.0
     },
     APT: {
         kVol: 0.5,
@@ -50,7 +59,10 @@ const ASSET_CONFIGS = {
         maxPosition: 100,
         initPrice: 9.5,
         coinId: 'aptos',
-        decimals: 3
+        symbol: 'APTUSDT',
+        decimals: 3,
+        maintenanceMargin: 0.02,
+        annualVol: 1.2
     }
 };
 
@@ -64,6 +76,19 @@ const VOLATILITY_REGIMES = {
     high: { factor: 2.0, description: 'Volatile market' }
 };
 
+/**
+ * Default return correlations between assets in portfolio simulations
+ * Keyed 'A-B' (either order); pairs not listed are uncorrelated
+ */
+const DEFAULT_CORRELATIONS = {
+    'BTC-ETH': 0.85,
+    'BTC-SOL': 0.75,
+    'BTC-APT': 0.65,
+    'ETH-SOL': 0.75,
+    'ETH-APT': 0.65,
+    'SOL-APT': 0.7
+};
+
 /**
  * Trading constants
  */
@@ -75,9 +100,147 @@ const TRADING_CONFIG = {
     tickIntervalMs: 1500,      // Simulation tick interval (1.5 seconds)
     priceUpdateIntervalMs: 5000, // Live price fetch interval (5 seconds)
     candleDurationMs: 5000,    // 5-second candles for ATR
+    candleHistoryLength: 50,   // Completed candles kept per timeframe
     atrLength: 20              // Default ATR period
 };
 
+/**
+ * Exchange fee tiers, as a fraction of notional
+ * Our quotes fill as maker; collapses close both legs as taker
+ * A negative maker rate is a rebate
+ */
+const FEE_TIERS = {
+    none: { label: 'No fees', maker: 0, taker: 0 },
+    vip0: { label: 'VIP 0 (2/5 bps)', maker: 0.0002, taker: 0.0005 },
+    vip3: { label: 'VIP 3 (1/4 bps)', maker: 0.0001, taker: 0.0004 },
+    mmRebate: { label: 'MM rebate (-0.5/3 bps)', maker: -0.00005, taker: 0.0003 }
+};
+
+const DEFAULT_FEE_TIER = 'vip0';
+
+/**
+ * Perpetual funding defaults
+ * Charged on net position every intervalMs at
+ * rate + amplitude × sin(2π × elapsed / periodMs); longs pay when positive
+ */
+const FUNDING_CONFIG = {
+    intervalMs: 8 * 60 * 60 * 1000,   // Every 8 hours
+    rate: 0.0001,                     // 0.01% per interval
+    amplitude: 0,                     // 0 = fixed rate
+    periodMs: 24 * 60 * 60 * 1000     // Cycle length when amplitude > 0
+};
+
+/**
+ * Liquidation defaults
+ * Checked every tick against mark price: when equity falls below the
+ * maintenance requirement (gross notional × asset maintenanceMargin),
+ * 'partial' closes partialFraction of each leg, 'full' closes everything.
+ * penalty is charged on the liquidated notional. A liquidation that leaves
+ * less equity than one order's margin stops the engine until reset
+ */
+const LIQUIDATION_CONFIG = {
+    enabled: true,
+    mode: 'partial',
+    partialFraction: 0.5,
+    penalty: 0.01
+};
+
+/**
+ * Inventory risk limits, off unless enabled (0 = off)
+ * maxNetPosition caps |long − short| in asset units (0 = the asset's
+ * maxPosition) and maxGrossNotional caps open notional in USD: fills are
+ * cut to what still fits and a side with no room left is pulled.
+ * maxSessionLoss (USD below starting equity) and maxDrawdown (fraction of
+ * peak equity) trip the kill switch, which stops the engine until reset
+ */
+const RISK_CONFIG = {
+    enabled: false,
+    maxNetPosition: 0,
+    maxGrossNotional: 0,
+    maxSessionLoss: 0,
+    maxDrawdown: 0
+};
+
+/**
+ * Taker mix and markouts
+ * informedShare of fills come from informed takers: the simulated price
+ * moves informedMove × the volatility estimate against the filled side on
+ * the next tick (live and historical prices can't be moved, so there the
+ * split only labels fills). Every fill is marked out against the mid
+ * markoutHorizons ticks later
+ */
+const ORDER_FLOW_CONFIG = {
+    informedShare: 0,
+    informedMove: 1,
+    markoutHorizons: [1, 5, 20]
+};
+
+/**
+ * Quote ladder settings (see buildQuoteLadder)
+ * Level 1 is the strategy's bid/ask; each further level sits `step` ticks
+ * (or `step` × volatility) further out. A fill that takes a whole level
+ * walks on to the next with walkProbability
+ */
+const LADDER_CONFIG = {
+    levels: 1,
+    spacing: 'ticks',           // see LADDER_SPACINGS
+    step: 2,
+    sizeRule: 'flat',           // see LADDER_SIZE_RULES
+    sizeRatio: 1.5,             // geometric: each level × sizeRatio
+    inventorySkew: 0.1,         // inventory: sizes × e^(∓skew × orders held)
+    walkProbability: 0.3
+};
+
+/**
+ * Live feed settings
+ * A WebSocket with no message for staleAfterMs is reconnected. Reconnects
+ * and failed REST polls back off exponentially (with jitter) from
+ * reconnectBaseMs up to reconnectMaxMs. Live quoting and fills pause while
+ * the last price update is older than pauseAfterMs
+ */
+const LIVE_FEED_CONFIG = {
+    staleAfterMs: 10000,
+    reconnectBaseMs: 1000,
+    reconnectMaxMs: 30000,
+    heartbeatMs: 20000,
+    pauseAfterMs: 15000
+};
+
+/**
+ * Position accounting modes
+ * hedge: long and short legs are held separately and only netted by collapses
+ * netting: one-way position, an opposite fill closes inventory and realizes PnL
+ */
+const POSITION_MODES = {
+    hedge: { label: 'Hedge', description: 'Separate long/short legs, netted by collapses' },
+    netting: { label: 'Netting', description: 'One-way position, opposite fills close' }
+};
+
+/**
+ * Run manifest format version (bump when manifest fields change meaning)
+ */
+const RUN_MANIFEST_VERSION = 2;
+
+/**
+ * Saved-run API routes (see api/)
+ */
+const API_ENDPOINTS = {
+    saveRun: '/api/save-data',
+    getRun: '/api/get-data'
+};
+
+/**
+ * How runs are saved: the whole JSON export, gzipped and base64-encoded,
+ * posted in chunks of at most chunkLength characters so every request
+ * body and KV value stays under 1 MB. A run needing more than maxChunks
+ * is refused; export it to a file instead
+ */
+const SAVED_RUN_STORAGE = {
+    encoding: 'gzip-base64',
+    chunkLength: 900000,
+    maxChunks: 32
+};
+
 
 // ===========================================
 // 2. SEEDABLE RNG MODULE
@@ -140,9 +303,133 @@ class SeededRNG {
 
 
 // ===========================================
-// 3. ATR CALCULATION MODULE
+// 3. SIMULATION CLOCK MODULE
+// ===========================================
+
+/**
+ * Simulated clock for simulation mode
+ * Time only moves when the engine advances it, so tick timestamps and
+ * candle boundaries are independent of wall-clock time and tab throttling
+ */
+class SimulationClock {
+    constructor(startTime = Date.now()) {
+        this.startTime = startTime;
+        this.time = startTime;
+    }
+
+    /**
+     * Reset clock to a new start time (ms since epoch)
+     */
+    reset(startTime = Date.now()) {
+        this.startTime = startTime;
+        this.time = startTime;
+    }
+
+    /**
+     * Current simulated time in ms since epoch
+     */
+    now() {
+        return this.time;
+    }
+
+    /**
+     * Move clock forward and return the new time
+     */
+    advance(ms) {
+        this.time += ms;
+        return this.time;
+    }
+}
+
+
+// ===========================================
+// 4. CANDLE & ATR MODULE
 // ===========================================
 
+/**
+ * Builds OHLC candles from timestamped prices, for one or more timeframes
+ * Time always comes from the caller (the simulated clock, trade or data
+ * timestamps), never from Date.now(), so candles follow the engine's clock
+ * rather than real elapsed time or tab throttling.
+ * A candle opens at its first price and completes once durationMs has
+ * passed; each timeframe keeps its last historyLength completed candles.
+ * durationMs is the main (ATR) timeframe; `timeframes` adds more
+ */
+class CandleAggregator {
+    constructor({
+        durationMs = TRADING_CONFIG.candleDurationMs,
+        historyLength = TRADING_CONFIG.candleHistoryLength,
+        timeframes = []
+    } = {}) {
+        this.durationMs = durationMs;
+        this.historyLength = historyLength;
+        this.timeframes = [durationMs, ...timeframes.filter(ms => ms !== durationMs)];
+        this.reset();
+    }
+
+    /**
+     * Drop all candles
+     */
+    reset() {
+        this.series = new Map(this.timeframes.map(ms => [ms, { candles: [], current: null }]));
+    }
+
+    /**
+     * Add a price at time (ms since epoch) to every timeframe
+     */
+    update(price, time) {
+        for (const [durationMs, series] of this.series) {
+            if (!series.current || time - series.current.timestamp >= durationMs) {
+                if (series.current) {
+                    series.candles.push(series.current);
+                    if (series.candles.length > this.historyLength) {
+                        series.candles.shift();
+                    }
+                }
+
+                series.current = {
+                    open: price,
+                    high: price,
+                    low: price,
+                    close: price,
+                    timestamp: time
+                };
+            } else {
+                series.current.high = Math.max(series.current.high, price);
+                series.current.low = Math.min(series.current.low, price);
+                series.current.close = price;
+            }
+        }
+    }
+
+    /**
+     * Completed candles of a timeframe (default: the main one)
+     */
+    getCandles(durationMs = this.durationMs) {
+        const series = this.series.get(durationMs);
+        return series ? series.candles : [];
+    }
+
+    /**
+     * The still-open candle of a timeframe, or null
+     */
+    getCurrentCandle(durationMs = this.durationMs) {
+        const series = this.series.get(durationMs);
+        return series ? series.current : null;
+    }
+
+    /**
+     * Settings this aggregator was built with
+     */
+    getSettings() {
+        return {
+            durationMs: this.durationMs,
+            historyLength: this.historyLength,
+            timeframes: this.timeframes.slice(1)
+        };
+    }
+}
+
 /**
  * Calculate Average True Range from OHLC candles
  * ATR measures volatility based on price ranges
@@ -180,9 +467,149 @@ function calculateATR(candles, length = TRADING_CONFIG.atrLength) {
     return atr;
 }
 
+/**
+ * True range of every candle after the first
+ */
+function trueRanges(candles) {
+    return candles.slice(1).map((candle, i) => Math.max(
+        candle.high - candle.low,
+        Math.abs(candle.high - candles[i].close),
+        Math.abs(candle.low - candles[i].close)
+    ));
+}
+
+/**
+ * Volatility estimators turn recent prices into the volatility input of
+ * calculateQuotes, in price units like ATR
+ * estimate(input, length, params) returns that value (0 until there is data)
+ *
+ * input: { candles, ticks, durationMs }
+ *   candles = completed candles of the ATR timeframe (durationMs long)
+ *   ticks = recent [{ time, price }], oldest first
+ * length is the engine's ATR length (in candles)
+ * Return-based estimators give σ of one candle's move × the last price,
+ * which runs below ATR on the same prices, so kVol may need raising
+ * `field` names the estimator's column in data points
+ */
+const VOLATILITY_ESTIMATORS = {
+    atr: {
+        label: 'ATR (SMA)',
+        description: 'Simple average of the last N true ranges (legacy)',
+        field: 'volAtr',
+        params: {},
+        estimate({ candles }, length) {
+            return calculateATR(candles, length);
+        }
+    },
+
+    wilder: {
+        label: 'ATR (Wilder)',
+        description: 'Wilder-smoothed true range: ATRₜ = ATRₜ₋₁ + (TRₜ − ATRₜ₋₁)/N, over every kept candle',
+        field: 'volWilder',
+        params: {},
+        estimate({ candles }, length) {
+            const ranges = trueRanges(candles);
+            if (ranges.length === 0) {
+                return 0;
+            }
+
+            // Seed with the simple average of the first N, then smooth the rest
+            const seed = Math.min(length, ranges.length);
+            let atr = ranges.slice(0, seed).reduce((sum, tr) => sum + tr, 0) / seed;
+            for (let i = seed; i < ranges.length; i++) {
+                atr += (ranges[i] - atr) / length;
+            }
+            return atr;
+        }
+    },
+
+    realized: {
+        label: 'Realized',
+        description: 'Sum of squared tick log returns over the last N candles, scaled to one candle',
+        field: 'volRealized',
+        params: {},
+        estimate({ ticks, durationMs }, length) {
+            if (ticks.length < 2) {
+                return 0;
+            }
+
+            const recent = ticks.filter(tick => tick.time >= ticks[ticks.length - 1].time - length * durationMs);
+            const elapsed = recent.length > 1 ? recent[recent.length - 1].time - recent[0].time : 0;
+            if (elapsed <= 0) {
+                return 0;
+            }
+
+            let sumSquares = 0;
+            for (let i = 1; i < recent.length; i++) {
+                const r = Math.log(recent[i].price / recent[i - 1].price);
+                sumSquares += r * r;
+            }
+            return Math.sqrt(sumSquares / elapsed * durationMs) * recent[recent.length - 1].price;
+        }
+    },
+
+    parkinson: {
+        label: 'Parkinson',
+        description: 'High-low range: σ² = mean(ln(H/L)²) / (4·ln 2) over the last N candles',
+        field: 'volParkinson',
+        params: {},
+        estimate({ candles }, length) {
+            const recent = candles.slice(-length);
+            if (recent.length === 0) {
+                return 0;
+            }
+
+            const variance = recent.reduce((sum, c) => sum + Math.log(c.high / c.low) ** 2, 0)
+                / (4 * Math.LN2 * recent.length);
+            return Math.sqrt(variance) * recent[recent.length - 1].close;
+        }
+    },
+
+    garmanKlass: {
+        label: 'Garman-Klass',
+        description: 'Range plus open-close: σ² = mean(½·ln(H/L)² − (2·ln 2 − 1)·ln(C/O)²) over the last N candles',
+        field: 'volGarmanKlass',
+        params: {},
+        estimate({ candles }, length) {
+            const recent = candles.slice(-length);
+            if (recent.length === 0) {
+                return 0;
+            }
+
+            const variance = recent.reduce((sum, c) => sum
+                + 0.5 * Math.log(c.high / c.low) ** 2
+                - (2 * Math.LN2 - 1) * Math.log(c.close / c.open) ** 2, 0) / recent.length;
+            return Math.sqrt(Math.max(0, variance)) * recent[recent.length - 1].close;
+        }
+    },
+
+    ewma: {
+        label: 'EWMA',
+        description: 'RiskMetrics σ²ₜ = λ·σ²ₜ₋₁ + (1 − λ)·r²ₜ over candle close-to-close returns',
+        field: 'volEwma',
+        params: {
+            lambda: { label: 'EWMA λ', default: 0.94, min: 0, max: 1, step: 0.01 }
+        },
+        estimate({ candles }, length, params) {
+            if (candles.length < 2) {
+                return 0;
+            }
+
+            let variance = null;
+            for (let i = 1; i < candles.length; i++) {
+                const r = Math.log(candles[i].close / candles[i - 1].close);
+                variance = variance === null ? r * r : params.lambda * variance + (1 - params.lambda) * r * r;
+            }
+            return Math.sqrt(variance) * candles[candles.length - 1].close;
+        }
+    }
+};
+
+const DEFAULT_VOLATILITY_ESTIMATOR = 'atr';
+
 
 // ===========================================
-// 4. QUOTE CALCULATION MODULE
+// 5. QUOTE CALCULATION MODULE
 // ===========================================
 
 /**
@@ -203,6 +630,15 @@ function formatPrice(price, config) {
     return '$' + price.toFixed(config.decimals).replace(/\B(?=(\d{3})+(?!\d))/g, ',');
 }
 
+/**
+ * Format a duration in seconds for display (e.g. 42.0s, 3.5m, 1.2h)
+ */
+function formatDuration(seconds) {
+    if (seconds < 120) return seconds.toFixed(1) + 's';
+    if (seconds < 7200) return (seconds / 60).toFixed(1) + 'm';
+    return (seconds / 3600).toFixed(1) + 'h';
+}
+
 /**
  * Calculate bid and ask quotes using volatility-adaptive, inventory-aware logic
  * 
@@ -249,158 +685,615 @@ function calculateQuotes(mid, atr, longSize, shortSize, config) {
     };
 }
 
+/**
+ * Round a strategy's raw bid and ask into the quote object the engine uses
+ * Spreads narrower than 2 ticks are widened around their centre
+ * skew = mid − centre, so a positive skew (net long) lowers both quotes
+ */
+function buildQuotes(mid, rawBid, rawAsk, imbalance, config) {
+    const minSpread = config.tickSize * 2;
+    const centre = (rawBid + rawAsk) / 2;
+    const baseSpread = Math.max(minSpread, rawAsk - rawBid);
 
-// ===========================================
-// 5. PRICE SIMULATION MODULE
-// ===========================================
+    const bidPrice = roundPrice(centre - baseSpread / 2, config);
+    const askPrice = roundPrice(centre + baseSpread / 2, config);
+
+    return {
+        bid: bidPrice,
+        ask: askPrice,
+        baseSpread: baseSpread,
+        actualSpread: askPrice - bidPrice,
+        skew: mid - centre,
+        imbalance: imbalance
+    };
+}
 
 /**
- * Simulates price movements using Geometric Brownian Motion
- * with configurable drift and volatility regimes
+ * Quoting strategies turn the mid, volatility and inventory into quotes
+ * quote(ctx, params) returns { bid, ask, baseSpread, actualSpread, skew, imbalance }
+ *
+ * ctx: { mid, volatility, longSize, shortSize, orderSize, config }
+ *   volatility = the active estimator's value (see VOLATILITY_ESTIMATORS)
+ *   orderSize = size of one quote in asset units (0 when out of margin)
+ * The optimal-quoting models work in units of that volatility, with time
+ * in candles: k is the fill decay per unit of volatility (as in the
+ * intensity fill model) and inventory q is counted in orders
  */
-class PriceSimulator {
-    constructor(asset, rng) {
-        this.asset = asset;
-        this.config = ASSET_CONFIGS[asset];
-        this.rng = rng;
-        this.currentPrice = this.config.initPrice;
-        this.volatilityRegime = 'medium';
-        this.drift = 0;
-        this.candles = [];
-        this.currentCandle = null;
-        this.candleStartTime = null;
+const QUOTING_STRATEGIES = {
+    atrSkew: {
+        label: 'ATR skew',
+        description: 'Spread k_vol × vol, linear skew k_pos × imbalance × spread (legacy; k_vol and k_pos are asset params)',
+        params: {},
+        quote(ctx) {
+            return calculateQuotes(ctx.mid, ctx.volatility, ctx.longSize, ctx.shortSize, ctx.config);
+        }
+    },
+
+    avellanedaStoikov: {
+        label: 'Avellaneda-Stoikov',
+        description: 'Reservation r = s − q·γ·σ²·T, spread γ·σ²·T + (2/γ)·ln(1 + γ/k), over a rolling horizon T',
+        params: {
+            gamma: { label: 'γ (risk)', default: 0.1, min: 0.001, step: 0.01 },
+            k: { label: 'k (per vol)', default: 1.5, min: 0.01, step: 0.1 },
+            horizon: { label: 'T (candles)', default: 5, min: 0, step: 1 }
+        },
+        quote(ctx, params) {
+            const { gamma, k, horizon } = params;
+            const sigma = ctx.volatility;
+            const q = ctx.orderSize > 0 ? (ctx.longSize - ctx.shortSize) / ctx.orderSize : 0;
+
+            // In price units of σ (one candle's volatility) the variance per
+            // candle is 1, so r = s − q·γ·T and the spread is γ·T + (2/γ)·ln(1 + γ/k);
+            // both are scaled back to prices by σ
+            const reservation = ctx.mid - q * gamma * horizon * sigma;
+            const spread = (gamma * horizon + (2 / gamma) * Math.log(1 + gamma / k)) * sigma;
+            // A large inventory can move one side through the mid; keep it a tick away
+            const bid = Math.min(ctx.mid - ctx.config.tickSize, reservation - spread / 2);
+            const ask = Math.max(ctx.mid + ctx.config.tickSize, reservation + spread / 2);
+
+            return buildQuotes(
+                ctx.mid, bid, ask,
+                (ctx.longSize - ctx.shortSize) / ctx.config.maxPosition, ctx.config
+            );
+        }
+    },
+
+    glft: {
+        label: 'GLFT',
+        description: 'Guéant–Lehalle–Fernandez-Tapia closed form: depth c₁ ± (2q ± 1)/2 · c₂ with fill rate A·e^(−k·δ)',
+        params: {
+            gamma: { label: 'γ (risk)', default: 0.1, min: 0.001, step: 0.01 },
+            k: { label: 'k (per vol)', default: 1.5, min: 0.01, step: 0.1 },
+            intensity: { label: 'A (fills/candle)', default: 0.75, min: 0.001, step: 0.05 }
+        },
+        quote(ctx, params) {
+            const { gamma, k, intensity } = params;
+            const sigma = ctx.volatility;
+            const q = ctx.orderSize > 0 ? (ctx.longSize - ctx.shortSize) / ctx.orderSize : 0;
+
+            // c₁: half spread with no inventory risk, c₂: inventory penalty per order
+            const c1 = Math.log(1 + gamma / k) / gamma;
+            const c2 = Math.sqrt(gamma / (2 * intensity * k) * Math.pow(1 + gamma / k, k / gamma + 1));
+            // Large γ or inventory can push a depth below zero, i.e. through
+            // the mid; each side stays at least a tick away
+            const bidDepth = Math.max(ctx.config.tickSize, (c1 + (2 * q + 1) / 2 * c2) * sigma);
+            const askDepth = Math.max(ctx.config.tickSize, (c1 - (2 * q - 1) / 2 * c2) * sigma);
+
+            return buildQuotes(
+                ctx.mid, ctx.mid - bidDepth, ctx.mid + askDepth,
+                (ctx.longSize - ctx.shortSize) / ctx.config.maxPosition, ctx.config
+            );
+        }
     }
+};
 
-    /**
-     * Set volatility regime (low/medium/high)
-     */
-    setVolatilityRegime(regime) {
-        this.volatilityRegime = regime;
+const DEFAULT_QUOTING_STRATEGY = 'atrSkew';
+
+/**
+ * Distance between ladder levels: step(settings, ctx) in price units
+ */
+const LADDER_SPACINGS = {
+    ticks: {
+        label: 'Ticks',
+        step: (settings, ctx) => settings.step * ctx.config.tickSize
+    },
+    atr: {
+        label: 'Vol ×',
+        step: (settings, ctx) => Math.max(settings.step * ctx.volatility, ctx.config.tickSize)
     }
+};
 
-    /**
-     * Set price drift (positive = uptrend, negative = downtrend)
-     */
-    setDrift(drift) {
-        this.drift = drift;
+/**
+ * Order size of each ladder level, as a multiple of one order
+ * (TRADING_CONFIG.orderSizeUSD): size(level, side, settings, ctx)
+ * with level counted from 0 and side 'bid' or 'ask'
+ */
+const LADDER_SIZE_RULES = {
+    flat: {
+        label: 'Flat',
+        description: 'Every level one order',
+        size: () => 1
+    },
+    geometric: {
+        label: 'Geometric',
+        description: 'Each level sizeRatio × the one before',
+        size: (level, side, settings) => Math.pow(settings.sizeRatio, level)
+    },
+    inventory: {
+        label: 'Inventory',
+        description: 'Shrink the side that adds to inventory, grow the side that reduces it',
+        size(level, side, settings, ctx) {
+            const q = ctx.orderSize > 0 ? (ctx.longSize - ctx.shortSize) / ctx.orderSize : 0;
+            return Math.exp((side === 'bid' ? -1 : 1) * settings.inventorySkew * q);
+        }
     }
+};
 
-    /**
-     * Reset simulator to initial state
-     */
-    reset() {
-        this.currentPrice = this.config.initPrice;
-        this.candles = [];
-        this.currentCandle = null;
-        this.candleStartTime = null;
-        this.rng.reset();
+/**
+ * Price levels on both sides from the top-of-book quotes
+ * ctx is the quoting strategy's ctx; returns { bids, asks }, best first,
+ * as [{ price, size }] with size in orders
+ */
+function buildQuoteLadder(quotes, ctx, settings) {
+    const step = LADDER_SPACINGS[settings.spacing].step(settings, ctx);
+    const rule = LADDER_SIZE_RULES[settings.sizeRule];
+    const ladder = { bids: [], asks: [] };
+
+    for (let level = 0; level < settings.levels; level++) {
+        ladder.bids.push({
+            price: roundPrice(quotes.bid - level * step, ctx.config),
+            size: rule.size(level, 'bid', settings, ctx)
+        });
+        ladder.asks.push({
+            price: roundPrice(quotes.ask + level * step, ctx.config),
+            size: rule.size(level, 'ask', settings, ctx)
+        });
     }
 
-    /**
-     * Generate next price tick using GBM
-     * dS = μ*S*dt + σ*S*dW
-     * 
-     * where:
-     * - μ = drift (annualized return)
-     * - σ = volatility
-     * - dW = Wiener process increment
-     */
-    generateTick(dt = 1.5 / 86400) { // dt in days (1.5 seconds)
-        const regimeFactor = VOLATILITY_REGIMES[this.volatilityRegime].factor;
-        
-        // Base volatility varies by asset
-        const baseVol = {
-            BTC: 0.6,   // ~60% annual vol
-            ETH: 0.8,   // ~80% annual vol
-            SOL: 1.0,   // ~100% annual vol
-            APT: 1.2    // ~120% annual vol
-        }[this.asset];
-
-        const volatility = baseVol * regimeFactor;
-        const driftComponent = this.drift * this.currentPrice * dt;
-        const randomComponent = volatility * this.currentPrice * Math.sqrt(dt) * this.rng.randomNormal();
+    return ladder;
+}
 
-        this.currentPrice += driftComponent + randomComponent;
-        this.currentPrice = Math.max(this.currentPrice, this.config.tickSize); // Prevent negative prices
 
-        // Update or create candle
-        this.updateCandle(this.currentPrice);
+// ===========================================
+// 6. FILL MODEL MODULE
+// ===========================================
 
-        return this.currentPrice;
+/**
+ * Default values from a parameter schema ({ key: { default, ... } })
+ */
+function getDefaultParams(schema) {
+    const params = {};
+    for (const [key, def] of Object.entries(schema)) {
+        params[key] = def.default;
     }
+    return params;
+}
 
-    /**
-     * Update current candle or start new one based on time
-     */
-    updateCandle(price) {
-        const now = Date.now();
+/**
+ * Fill models decide which of our quotes get hit each tick
+ * generateFills(ctx, params, rng) returns [{ side: 'bid' | 'ask', fraction }]
+ * where fraction is the filled share (0-1) of the quoted order size
+ *
+ * ctx: { mid, bid, ask, atr, tickSize, dtSeconds }
+ */
+const FILL_MODELS = {
+    coinflip: {
+        label: 'Coin flip',
+        description: 'Flat fill probability per tick, random side (legacy)',
+        params: {
+            probability: { label: 'Fill Prob', default: 0.25, min: 0, max: 1, step: 0.05 }
+        },
+        generateFills(ctx, params, rng) {
+            if (rng.random() > params.probability) {
+                return [];
+            }
+
+            // Market buy hits our ask, market sell hits our bid (50/50)
+            const side = rng.random() < 0.5 ? 'ask' : 'bid';
+
+            // Partial fills: 50-100% of order size
+            const fraction = 0.5 + rng.random() * 0.5;
+
+            return [{ side, fraction }];
+        }
+    },
 
-        if (!this.candleStartTime || now - this.candleStartTime >= TRADING_CONFIG.candleDurationMs) {
-            // Complete current candle and start new one
-            if (this.currentCandle) {
-                this.candles.push({...this.currentCandle});
-                // Keep only last 50 candles for memory efficiency
-                if (this.candles.length > 50) {
-                    this.candles.shift();
+    intensity: {
+        label: 'Intensity (A-S)',
+        description: 'Avellaneda-Stoikov arrivals λ = A·e^(−k·δ/ATR), each side independent',
+        params: {
+            intensity: { label: 'A (fills/s)', default: 0.15, min: 0, step: 0.01 },
+            decay: { label: 'k (per ATR)', default: 1.5, min: 0, step: 0.1 }
+        },
+        generateFills(ctx, params, rng) {
+            // Distance is measured in units of current volatility, so the
+            // same quote width fills less often in a calm market than a wide one
+            const volScale = Math.max(ctx.atr, ctx.tickSize);
+            const fills = [];
+
+            for (const side of ['bid', 'ask']) {
+                const delta = Math.abs(ctx[side] - ctx.mid);
+                const lambda = params.intensity * Math.exp(-params.decay * delta / volScale);
+
+                // Poisson arrival: P(at least one hit in dt) = 1 − e^(−λ·dt)
+                const fillProbability = 1 - Math.exp(-lambda * ctx.dtSeconds);
+
+                if (rng.random() < fillProbability) {
+                    fills.push({ side, fraction: 0.5 + rng.random() * 0.5 });
                 }
             }
 
-            this.currentCandle = {
-                open: price,
-                high: price,
-                low: price,
-                close: price,
-                timestamp: now
-            };
-            this.candleStartTime = now;
-        } else {
-            // Update existing candle
-            this.currentCandle.high = Math.max(this.currentCandle.high, price);
-            this.currentCandle.low = Math.min(this.currentCandle.low, price);
-            this.currentCandle.close = price;
+            return fills;
         }
     }
+};
 
-    /**
-     * Get all completed candles for ATR calculation
-     */
-    getCandles() {
-        return this.candles;
-    }
-
-    /**
-     * Get current ATR value
-     */
-    getATR(length) {
-        return calculateATR(this.candles, length);
-    }
-}
+const DEFAULT_FILL_MODEL = 'intensity';
 
 
 // ===========================================
-// 6. LIVE PRICE MODULE
+// 7. PRICE SIMULATION MODULE
 // ===========================================
 
 /**
- * Fetches live prices from CoinGecko API
+ * Price models shape the volatility (and jumps) of each simulated tick
+ * step(ctx, params, state, rng) returns { volatility, jump }:
+ * the annualized σ for this tick's diffusion and a log price jump (0 = none)
+ *
+ * ctx: { volatility, annualVol, regime, dt, shock }
+ *   volatility = annualVol × factor of the selected VOLATILITY_REGIMES entry
+ *   shock = this tick's standard normal diffusion draw
+ * state is a per-simulator object the model may keep between ticks
+ * (cleared on reset)
+ */
+const PRICE_MODELS = {
+    gbm: {
+        label: 'GBM',
+        description: 'Constant volatility from the selected regime (legacy)',
+        params: {},
+        step(ctx) {
+            return { volatility: ctx.volatility, jump: 0 };
+        }
+    },
+
+    jump: {
+        label: 'Jump diffusion',
+        description: 'Merton: GBM plus Poisson jumps with normal log sizes (flash crashes)',
+        params: {
+            jumpRate: { label: 'Jumps/day', default: 4, min: 0, step: 0.5 },
+            jumpMean: { label: 'Jump Mean', default: -0.01, step: 0.005 },
+            jumpStd: { label: 'Jump Std', default: 0.02, min: 0, step: 0.005 }
+        },
+        step(ctx, params, state, rng) {
+            // P(jump within dt) = 1 − e^(−λ·dt); one draw per tick either way
+            let jump = 0;
+            if (rng.random() < 1 - Math.exp(-params.jumpRate * ctx.dt)) {
+                jump = params.jumpMean + params.jumpStd * rng.randomNormal();
+            }
+            return { volatility: ctx.volatility, jump };
+        }
+    },
+
+    garch: {
+        label: 'GARCH(1,1)',
+        description: 'σ²ₜ = ω + α·σ²ₜ₋₁·ε²ₜ₋₁ + β·σ²ₜ₋₁, mean-reverting to the regime volatility',
+        params: {
+            alpha: { label: 'GARCH α', default: 0.025, min: 0, max: 1, step: 0.005 },
+            beta: { label: 'GARCH β', default: 0.97, min: 0, max: 1, step: 0.005 }
+        },
+        step(ctx, params, state) {
+            const longRunVariance = ctx.volatility * ctx.volatility;
+            if (state.variance === undefined) {
+                state.variance = longRunVariance;
+            }
+
+            const volatility = Math.sqrt(state.variance);
+
+            // ω keeps the long-run variance at the regime level (0 if α + β ≥ 1)
+            const omega = Math.max(0, 1 - params.alpha - params.beta) * longRunVariance;
+            state.variance = omega + (params.alpha * ctx.shock * ctx.shock + params.beta) * state.variance;
+
+            return { volatility, jump: 0 };
+        }
+    },
+
+    regime: {
+        label: 'Regime switching',
+        description: 'Markov chain over the volatility regimes, starting from the selected one',
+        params: {
+            meanStay: { label: 'Mean Stay (min)', default: 30, min: 0.1, step: 5 }
+        },
+        step(ctx, params, state, rng) {
+            if (state.regime === undefined) {
+                state.regime = ctx.regime;
+            }
+
+            // Exponential stay: P(switch within dt) = 1 − e^(−dt/meanStay)
+            const dtMinutes = ctx.dt * 24 * 60;
+            if (rng.random() < 1 - Math.exp(-dtMinutes / params.meanStay)) {
+                const others = Object.keys(VOLATILITY_REGIMES).filter(r => r !== state.regime);
+                state.regime = others[Math.floor(rng.random() * others.length)];
+            }
+
+            return { volatility: ctx.annualVol * VOLATILITY_REGIMES[state.regime].factor, jump: 0 };
+        }
+    }
+};
+
+const DEFAULT_PRICE_MODEL = 'gbm';
+
+/**
+ * Simulates price movements using Geometric Brownian Motion
+ * with configurable drift and volatility regimes
+ * The price model (see PRICE_MODELS) can vary volatility and add jumps
+ */
+class PriceSimulator {
+    constructor(asset, rng) {
+        this.asset = asset;
+        this.config = ASSET_CONFIGS[asset];
+        this.rng = rng;
+        this.currentPrice = this.config.initPrice;
+        this.volatilityRegime = 'medium';
+        this.drift = 0;
+        this.priceModel = { name: DEFAULT_PRICE_MODEL, params: {} };
+        this.modelState = {};
+        this.currentVolatility = 0;
+        this.pendingMove = 0;       // price impact queued for the next tick
+        this.candles = new CandleAggregator();
+    }
+
+    /**
+     * Move the price by `move` on the next tick, on top of the model's own
+     * step (informed order flow leaning against our fills)
+     */
+    queueMove(move) {
+        this.pendingMove += move;
+    }
+
+    /**
+     * Rebuild candles with new CandleAggregator settings
+     */
+    setCandleSettings(settings) {
+        this.candles = new CandleAggregator(settings);
+    }
+
+    /**
+     * Set volatility regime (low/medium/high)
+     */
+    setVolatilityRegime(regime) {
+        this.volatilityRegime = regime;
+    }
+
+    /**
+     * Select price model; missing params fall back to the model's defaults
+     */
+    setPriceModel(name, params = {}) {
+        if (!PRICE_MODELS[name]) {
+            throw new Error(`Unknown price model: ${name}`);
+        }
+        this.priceModel = {
+            name: name,
+            params: { ...getDefaultParams(PRICE_MODELS[name].params), ...params }
+        };
+        this.modelState = {};
+    }
+
+    /**
+     * Set price drift (positive = uptrend, negative = downtrend)
+     */
+    setDrift(drift) {
+        this.drift = drift;
+    }
+
+    /**
+     * Reset simulator to initial state
+     */
+    reset() {
+        this.currentPrice = this.config.initPrice;
+        this.modelState = {};
+        this.currentVolatility = 0;
+        this.pendingMove = 0;
+        this.candles.reset();
+        this.rng.reset();
+    }
+
+    /**
+     * Generate next price tick using GBM
+     * dS = μ*S*dt + σ*S*dW
+     * 
+     * where:
+     * - μ = drift (annualized return)
+     * - σ = volatility
+     * - dW = Wiener process increment
+     *
+     * `now` is the tick time in ms on the engine's clock, used for candles
+     * `shock` is the standard normal draw behind dW; a portfolio passes
+     * correlated ones (see CorrelatedShocks)
+     */
+    generateTick(dt, now, shock = this.rng.randomNormal()) { // dt in days
+        const regimeFactor = VOLATILITY_REGIMES[this.volatilityRegime].factor;
+
+        const { volatility, jump } = PRICE_MODELS[this.priceModel.name].step({
+            volatility: this.config.annualVol * regimeFactor,
+            annualVol: this.config.annualVol,
+            regime: this.volatilityRegime,
+            dt: dt,
+            shock: shock
+        }, this.priceModel.params, this.modelState, this.rng);
+        this.currentVolatility = volatility;
+
+        const driftComponent = this.drift * this.currentPrice * dt;
+        const randomComponent = volatility * this.currentPrice * Math.sqrt(dt) * shock;
+
+        this.currentPrice += driftComponent + randomComponent;
+        if (jump !== 0) {
+            this.currentPrice *= Math.exp(jump);
+        }
+        if (this.pendingMove !== 0) {
+            this.currentPrice += this.pendingMove;
+            this.pendingMove = 0;
+        }
+        this.currentPrice = Math.max(this.currentPrice, this.config.tickSize); // Prevent negative prices
+
+        this.candles.update(this.currentPrice, now);
+
+        return this.currentPrice;
+    }
+
+    /**
+     * Get all completed candles for ATR calculation
+     * (durationMs picks another of the aggregator's timeframes)
+     */
+    getCandles(durationMs) {
+        return this.candles.getCandles(durationMs);
+    }
+
+    /**
+     * Get current ATR value
+     */
+    getATR(length) {
+        return calculateATR(this.getCandles(), length);
+    }
+}
+
+/**
+ * Correlation between two assets from a pair-keyed map (see DEFAULT_CORRELATIONS)
+ */
+function getCorrelation(correlations, a, b) {
+    if (a === b) {
+        return 1;
+    }
+    const value = correlations[`${a}-${b}`] !== undefined
+        ? correlations[`${a}-${b}`]
+        : correlations[`${b}-${a}`];
+    return value !== undefined ? value : 0;
+}
+
+/**
+ * Cholesky factor L of a symmetric matrix C (lower triangular, L × Lᵀ = C)
+ * Throws if C is not positive definite, i.e. the correlations can't all
+ * hold at once (e.g. A~B and B~C strongly positive but A~C negative)
+ */
+function choleskyDecompose(matrix) {
+    const n = matrix.length;
+    const factor = matrix.map(() => new Array(n).fill(0));
+
+    for (let i = 0; i < n; i++) {
+        for (let j = 0; j <= i; j++) {
+            let sum = matrix[i][j];
+            for (let k = 0; k < j; k++) {
+                sum -= factor[i][k] * factor[j][k];
+            }
+
+            if (i === j) {
+                if (sum <= 0) {
+                    throw new Error('Correlation matrix is not positive definite');
+                }
+                factor[i][i] = Math.sqrt(sum);
+            } else {
+                factor[i][j] = sum / factor[j][j];
+            }
+        }
+    }
+
+    return factor;
+}
+
+/**
+ * Correlated standard normal shocks, one per asset, from a shared RNG
+ *
+ * Independent draws z are mixed as L × z with L the Cholesky factor of
+ * the correlation matrix. With no correlations L is the identity and the
+ * shocks are exactly the independent draws.
+ */
+class CorrelatedShocks {
+    constructor(assets, correlations = {}) {
+        this.assets = [...assets];
+        this.matrix = this.assets.map(a => this.assets.map(b => getCorrelation(correlations, a, b)));
+        this.factor = choleskyDecompose(this.matrix);
+    }
+
+    /**
+     * Draw one shock per asset, in asset order
+     */
+    sample(rng) {
+        const draws = this.assets.map(() => rng.randomNormal());
+        return this.factor.map(row => row.reduce((sum, weight, j) => sum + weight * draws[j], 0));
+    }
+}
+
+
+// ===========================================
+// 8. LIVE PRICE MODULE
+// ===========================================
+
+/**
+ * Delay before retry number `attempt` (1 = first retry)
+ * Doubles from reconnectBaseMs up to reconnectMaxMs, then a random 50–100%
+ * of that is used so many clients don't retry in lockstep
+ */
+function backoffDelay(attempt, settings = LIVE_FEED_CONFIG) {
+    const delay = Math.min(settings.reconnectMaxMs, settings.reconnectBaseMs * 2 ** (attempt - 1));
+    return delay * (0.5 + Math.random() / 2);
+}
+
+/**
+ * Parse an HTTP Retry-After header (seconds or a date) into ms from now
+ * Returns null when missing or unreadable
+ */
+function parseRetryAfter(value, now = Date.now()) {
+    if (value === null || value === undefined || value === '') {
+        return null;
+    }
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) {
+        return Math.max(0, seconds * 1000);
+    }
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Fetches live prices from CoinGecko API
+ * Every live price source shares this interface:
+ *   connect(config) / disconnect()   start and stop streaming for an asset config
+ *   fetchPrice(config)               latest price (async; null if none yet)
+ *   getQuote()                       exchange { bid, ask }, or null
+ *   getCandles(durationMs)           completed candles for ATR (or another timeframe)
+ *   setCandleSettings(settings)      rebuild candles (see CandleAggregator)
+ *   getStatus()                      { source, state, fallback, lastUpdateTime, errors, reconnects }
+ *   reset()                          clear prices and candles
+ * Failed polls back off (see backoffDelay); HTTP 429 waits for Retry-After
  */
 class LivePriceFetcher {
     constructor() {
         this.lastPrice = null;
-        this.candles = [];
-        this.currentCandle = null;
-        this.candleStartTime = null;
+        this.candles = new CandleAggregator();
         this.isLoading = false;
         this.lastFetchTime = 0;
+        this.lastUpdateTime = 0;
+        this.errorCount = 0;
+        this.consecutiveErrors = 0;
+        this.retryAt = 0;
+        this.lastError = null;
     }
 
     /**
-     * Fetch current price for asset from CoinGecko
+     * Polling needs no connection
+     */
+    connect() {}
+
+    disconnect() {}
+
+    /**
+     * Fetch current price for an asset config from CoinGecko
      */
-    async fetchPrice(coinId) {
-        // Rate limiting: minimum 3 seconds between requests
+    async fetchPrice(config) {
+        const coinId = config.coinId;
+
+        // Rate limiting: minimum 3 seconds between requests, longer while backing off
         const now = Date.now();
-        if (now - this.lastFetchTime < 3000) {
+        if (now - this.lastFetchTime < 3000 || now < this.retryAt) {
             return this.lastPrice;
         }
 
@@ -412,7 +1305,10 @@ class LivePriceFetcher {
             const response = await fetch(url);
             
             if (!response.ok) {
-                console.warn('CoinGecko API error:', response.status);
+                const retryAfter = response.status === 429
+                    ? parseRetryAfter(response.headers.get('Retry-After'))
+                    : null;
+                this.recordError(`HTTP ${response.status}`, retryAfter);
                 return this.lastPrice;
             }
 
@@ -421,11 +1317,15 @@ class LivePriceFetcher {
             if (data && data[coinId] && data[coinId].usd) {
                 const price = data[coinId].usd;
                 this.lastPrice = price;
-                this.updateCandle(price);
+                this.lastUpdateTime = Date.now();
+                this.consecutiveErrors = 0;
+                // Live time is wall-clock time
+                this.candles.update(price, this.lastUpdateTime);
                 return price;
             }
+            this.recordError(`no price for ${coinId}`);
         } catch (error) {
-            console.error('Error fetching live price:', error);
+            this.recordError(error.message);
         } finally {
             this.isLoading = false;
         }
@@ -434,39 +1334,57 @@ class LivePriceFetcher {
     }
 
     /**
-     * Update candle data from live prices (same logic as simulation)
+     * Count a failed poll and hold off the next one
+     * retryAfterMs (from a 429) overrides the backoff delay
      */
-    updateCandle(price) {
-        const now = Date.now();
-
-        if (!this.candleStartTime || now - this.candleStartTime >= TRADING_CONFIG.candleDurationMs) {
-            if (this.currentCandle) {
-                this.candles.push({...this.currentCandle});
-                if (this.candles.length > 50) {
-                    this.candles.shift();
-                }
-            }
+    recordError(message, retryAfterMs = null) {
+        this.errorCount++;
+        this.consecutiveErrors++;
+        this.lastError = message;
+
+        const delay = retryAfterMs !== null ? retryAfterMs : backoffDelay(this.consecutiveErrors);
+        this.retryAt = Date.now() + delay;
+        console.warn(`CoinGecko price fetch failed (${message}); retrying in ${(delay / 1000).toFixed(1)}s`);
+    }
 
-            this.currentCandle = {
-                open: price,
-                high: price,
-                low: price,
-                close: price,
-                timestamp: now
-            };
-            this.candleStartTime = now;
-        } else {
-            this.currentCandle.high = Math.max(this.currentCandle.high, price);
-            this.currentCandle.low = Math.min(this.currentCandle.low, price);
-            this.currentCandle.close = price;
-        }
+    /**
+     * Rebuild candles with new CandleAggregator settings
+     */
+    setCandleSettings(settings) {
+        this.candles = new CandleAggregator(settings);
     }
 
     /**
      * Get candles for ATR calculation
      */
-    getCandles() {
-        return this.candles;
+    getCandles(durationMs) {
+        return this.candles.getCandles(durationMs);
+    }
+
+    /**
+     * CoinGecko has no order book
+     */
+    getQuote() {
+        return null;
+    }
+
+    /**
+     * Polling summary for display
+     */
+    getStatus() {
+        let state = this.lastPrice !== null ? 'open' : 'connecting';
+        if (this.consecutiveErrors > 0) {
+            state = 'backoff';
+        }
+        return {
+            source: 'coingecko',
+            state: state,
+            fallback: false,
+            lastUpdateTime: this.lastUpdateTime,
+            errors: this.errorCount,
+            lastError: this.lastError,
+            reconnects: 0
+        };
     }
 
     /**
@@ -474,536 +1392,4573 @@ class LivePriceFetcher {
      */
     reset() {
         this.lastPrice = null;
-        this.candles = [];
-        this.currentCandle = null;
-        this.candleStartTime = null;
+        this.candles.reset();
+        this.lastUpdateTime = 0;
+        this.errorCount = 0;
+        this.consecutiveErrors = 0;
+        this.retryAt = 0;
+        this.lastError = null;
     }
 }
 
+/**
+ * Parse a Binance combined-stream message (aggTrade or bookTicker)
+ * into feed events: { type: 'trade', price, time } or { type: 'quote', bid, ask }
+ */
+function parseBinanceMessage(message) {
+    const data = message.data || message;
+    if (data.e === 'aggTrade' || data.e === 'trade') {
+        return [{ type: 'trade', price: parseFloat(data.p), time: data.T }];
+    }
+    if (data.e === undefined && data.b !== undefined && data.a !== undefined) {
+        return [{ type: 'quote', bid: parseFloat(data.b), ask: parseFloat(data.a) }];
+    }
+    return [];
+}
 
-// ===========================================
-// 7. TRADING ENGINE MODULE
-// ===========================================
+/**
+ * Parse a Bybit v5 public message (publicTrade or orderbook.1) into feed events
+ * Subscription acks and pongs carry no topic and yield nothing
+ */
+function parseBybitMessage(message) {
+    if (!message.topic || !message.data) {
+        return [];
+    }
+    if (message.topic.startsWith('publicTrade.')) {
+        return message.data.map(trade => ({ type: 'trade', price: parseFloat(trade.p), time: trade.T }));
+    }
+    if (message.topic.startsWith('orderbook.1.')) {
+        // A level with size 0 was removed; keep the previous price for that side
+        const best = (levels) => levels && levels.length > 0 && parseFloat(levels[0][1]) > 0
+            ? parseFloat(levels[0][0])
+            : null;
+        return [{ type: 'quote', bid: best(message.data.b), ask: best(message.data.a) }];
+    }
+    return [];
+}
 
 /**
- * Core trading engine handling positions, margin, and collapses
+ * Market data sources for live mode
+ * 'rest' sources poll (LivePriceFetcher); 'websocket' sources stream trades
+ * and the best bid/ask through a WebSocketPriceFeed described by:
+ *   url(config)        stream URL for an asset config
+ *   subscribe(config)  message sent on open (null = subscribed by URL)
+ *   heartbeat          message sent every LIVE_FEED_CONFIG.heartbeatMs (null = none)
+ *   parse(message)     feed events from one parsed JSON message
+ * tickIntervalMs is how often live mode quotes against the source
  */
-class TradingEngine {
-    constructor() {
+const MARKET_DATA_SOURCES = {
+    coingecko: {
+        label: 'CoinGecko',
+        description: 'Polls /simple/price every few seconds; last price only, no bid/ask',
+        transport: 'rest',
+        tickIntervalMs: TRADING_CONFIG.priceUpdateIntervalMs
+    },
+
+    binance: {
+        label: 'Binance',
+        description: 'Spot aggTrade and bookTicker WebSocket streams',
+        transport: 'websocket',
+        tickIntervalMs: TRADING_CONFIG.tickIntervalMs,
+        url(config) {
+            const symbol = config.symbol.toLowerCase();
+            return `wss://stream.binance.com:9443/stream?streams=${symbol}@aggTrade/${symbol}@bookTicker`;
+        },
+        subscribe: null,
+        heartbeat: null,
+        parse: parseBinanceMessage
+    },
+
+    bybit: {
+        label: 'Bybit',
+        description: 'Spot publicTrade and orderbook.1 WebSocket streams',
+        transport: 'websocket',
+        tickIntervalMs: TRADING_CONFIG.tickIntervalMs,
+        url() {
+            return 'wss://stream.bybit.com/v5/public/spot';
+        },
+        subscribe(config) {
+            return { op: 'subscribe', args: [`publicTrade.${config.symbol}`, `orderbook.1.${config.symbol}`] };
+        },
+        heartbeat: { op: 'ping' },
+        parse: parseBybitMessage
+    },
+
+    mock: {
+        label: 'Local mock',
+        description: 'Binance-format streams from scripts/mock-feed-server.js on localhost:8765',
+        transport: 'websocket',
+        tickIntervalMs: TRADING_CONFIG.tickIntervalMs,
+        url(config) {
+            const symbol = config.symbol.toLowerCase();
+            return `ws://localhost:8765/stream?streams=${symbol}@aggTrade/${symbol}@bookTicker`;
+        },
+        subscribe: null,
+        heartbeat: null,
+        parse: parseBinanceMessage
+    }
+};
+
+const DEFAULT_MARKET_DATA_SOURCE = 'coingecko';
+
+/**
+ * Streams trades and the best bid/ask from an exchange WebSocket
+ * Same interface as LivePriceFetcher; candles are built from trade
+ * timestamps, so ATR sees every trade rather than one price per poll.
+ * The socket reconnects with jittered exponential backoff, sends the source's
+ * heartbeat, and is dropped and reopened when no message arrives for
+ * LIVE_FEED_CONFIG.staleAfterMs. Until it is live (open with a price),
+ * fetchPrice falls back to CoinGecko. lastUpdateTime in getStatus is the
+ * last trade or quote: acks and heartbeat replies keep the socket alive
+ * but don't make a frozen price fresh
+ */
+class WebSocketPriceFeed {
+    constructor(source, { WebSocketImpl = globalThis.WebSocket, settings = LIVE_FEED_CONFIG } = {}) {
+        this.source = source;
+        this.stream = MARKET_DATA_SOURCES[source];
+        if (!WebSocketImpl) {
+            // Node 20 and older have no global WebSocket (browsers and Node 22+ do)
+            throw new Error(`${this.stream.label} needs WebSocket, which this runtime lacks; use CoinGecko or pass WebSocketImpl`);
+        }
+        this.WebSocketImpl = WebSocketImpl;
+        this.settings = settings;
+        this.fallback = new LivePriceFetcher();
+        this.config = null;
+        this.socket = null;
+        this.state = 'closed';  // 'connecting', 'open', 'stale', 'reconnecting' or 'closed'
+        this.shouldConnect = false;
+        this.reconnects = 0;
+        this.reconnectAttempt = 0;
+        this.reconnectTimer = null;
+        this.heartbeatTimer = null;
+        this.watchdogTimer = null;
+        this.candles = new CandleAggregator();
         this.reset();
     }
 
     /**
-     * Reset all trading state
+     * Open the stream for an asset config and keep it open until disconnect
      */
-    reset(initialBalance = TRADING_CONFIG.defaultBalance) {
-        this.balance = initialBalance;
-        this.initialBalance = initialBalance;
-        this.leverage = TRADING_CONFIG.leverage;
-        
-        this.longPosition = { size: 0, avgPrice: 0 };
-        this.shortPosition = { size: 0, avgPrice: 0 };
-        
-        this.realizedPnL = 0;
-        this.trades = [];
-        this.collapses = [];
+    connect(config) {
+        this.disconnect();
+        this.config = config;
+        this.shouldConnect = true;
+        this.open();
+        this.watchdogTimer = setInterval(() => this.checkStale(), 1000);
     }
 
     /**
-     * Calculate margin required for a trade
-     * margin = size × price / leverage
+     * Close the stream and cancel reconnects
      */
-    calculateMargin(size, price) {
-        return (size * price) / this.leverage;
+    disconnect() {
+        this.shouldConnect = false;
+        clearTimeout(this.reconnectTimer);
+        clearInterval(this.watchdogTimer);
+        this.reconnectTimer = null;
+        this.watchdogTimer = null;
+        this.closeSocket();
+        this.state = 'closed';
     }
 
     /**
-     * Calculate order size based on $50 notional
+     * Open a socket; handlers ignore events from sockets already replaced
      */
-    calculateOrderSize(price) {
-        const buyingPower = this.balance * this.leverage;
-        const maxNotional = Math.min(TRADING_CONFIG.orderSizeUSD, buyingPower);
-        return maxNotional / price;
+    open() {
+        this.state = 'connecting';
+        const socket = new this.WebSocketImpl(this.stream.url(this.config));
+        this.socket = socket;
+
+        socket.onopen = () => {
+            if (socket !== this.socket) return;
+            this.state = 'open';
+            this.reconnectAttempt = 0;
+            this.lastMessageTime = Date.now();
+            if (this.stream.subscribe) {
+                socket.send(JSON.stringify(this.stream.subscribe(this.config)));
+            }
+            if (this.stream.heartbeat) {
+                this.heartbeatTimer = setInterval(
+                    () => socket.send(JSON.stringify(this.stream.heartbeat)),
+                    this.settings.heartbeatMs
+                );
+            }
+        };
+
+        socket.onmessage = (event) => {
+            if (socket !== this.socket) return;
+            this.handleMessage(event.data);
+        };
+
+        socket.onerror = () => {
+            if (socket !== this.socket) return;
+            this.errorCount++;
+            console.warn(`${this.stream.label} socket error`);
+        };
+
+        socket.onclose = () => {
+            if (socket !== this.socket) return;
+            this.closeSocket();
+            this.scheduleReconnect();
+        };
     }
 
     /**
-     * Execute entry order (long or short)
-     * Returns trade object or null if insufficient margin
+     * Detach and close the current socket, if any
      */
-    executeEntry(side, price, size, timestamp = new Date()) {
-        const margin = this.calculateMargin(size, price);
+    closeSocket() {
+        clearInterval(this.heartbeatTimer);
+        this.heartbeatTimer = null;
+
+        const socket = this.socket;
+        this.socket = null;
+        if (socket) {
+            try {
+                socket.close();
+            } catch (error) {
+                // Closing a socket that never opened can throw; it is gone either way
+            }
+        }
+    }
 
-        // Check available margin
-        if (margin > this.balance) {
-            return null;
+    /**
+     * Reopen after an exponential backoff delay
+     */
+    scheduleReconnect() {
+        if (!this.shouldConnect) {
+            this.state = 'closed';
+            return;
         }
 
-        // Deduct margin from balance
-        this.balance -= margin;
+        this.reconnectAttempt++;
+        const delay = backoffDelay(this.reconnectAttempt, this.settings);
+        this.state = 'reconnecting';
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnects++;
+            this.open();
+        }, delay);
+    }
 
-        if (side === 'LONG') {
-            // Update long position with weighted average price
-            const newSize = this.longPosition.size + size;
-            const newAvgPrice = this.longPosition.size > 0
-                ? (this.longPosition.avgPrice * this.longPosition.size + price * size) / newSize
-                : price;
-            
-            this.longPosition = { size: newSize, avgPrice: newAvgPrice };
-        } else {
-            // Update short position
-            const newSize = this.shortPosition.size + size;
-            const newAvgPrice = this.shortPosition.size > 0
-                ? (this.shortPosition.avgPrice * this.shortPosition.size + price * size) / newSize
-                : price;
-            
-            this.shortPosition = { size: newSize, avgPrice: newAvgPrice };
+    /**
+     * Drop and reopen a connection that has gone quiet
+     */
+    checkStale() {
+        if (this.state === 'open' && Date.now() - this.lastMessageTime > this.settings.staleAfterMs) {
+            console.warn(`${this.stream.label} feed stale for ${this.settings.staleAfterMs}ms, reconnecting`);
+            this.closeSocket();
+            this.state = 'stale';
+            this.scheduleReconnect();
         }
+    }
 
-        // Record trade
-        const trade = {
-            id: this.trades.length + 1,
-            timestamp: timestamp.toLocaleTimeString(),
-            isoTimestamp: timestamp.toISOString(),
-            side: side,
-            price: price,
-            size: size,
-            margin: margin
-        };
-
-        this.trades.unshift(trade);
-        
-        // Keep last 100 trades in memory
-        if (this.trades.length > 100) {
-            this.trades.pop();
+    /**
+     * Apply one raw message from the socket
+     */
+    handleMessage(raw) {
+        let message;
+        try {
+            message = JSON.parse(raw);
+        } catch (error) {
+            console.warn(`${this.stream.label} sent a non-JSON message`);
+            return;
         }
 
-        return trade;
+        this.lastMessageTime = Date.now();
+        for (const event of this.stream.parse(message)) {
+            if (event.type === 'trade') {
+                this.lastPrice = event.price;
+                this.lastPriceTime = this.lastMessageTime;
+                this.candles.update(event.price, event.time);
+            } else if (event.type === 'quote') {
+                if (event.bid) this.bid = event.bid;
+                if (event.ask) this.ask = event.ask;
+                this.lastPriceTime = this.lastMessageTime;
+            }
+        }
     }
 
     /**
-     * Check if collapse should trigger
-     * Collapse when balance < $100 and both positions exist
+     * Whether the stream is open and has delivered a price
      */
-    shouldCollapse() {
-        return this.balance < TRADING_CONFIG.collapseThreshold 
-            && this.longPosition.size > 0 
-            && this.shortPosition.size > 0;
+    isLive() {
+        return this.state === 'open' && (this.lastPrice !== null || this.bid !== null);
     }
 
     /**
-     * Execute collapse (internal position netting)
-     * 
-     * COLLAPSE MECHANICS:
-     * 1. collapse_size = min(long_size, short_size)
-     * 2. pnl = (short_avg_price - long_avg_price) × collapse_size
-     * 3. Return margin for collapsed positions
-     * 4. Add realized PnL to balance
+     * Current price: book mid when both sides are known, else the last trade
+     * Falls back to CoinGecko while the stream isn't live
      */
-    executeCollapse(timestamp = new Date()) {
-        const collapseSize = Math.min(this.longPosition.size, this.shortPosition.size);
-        
-        if (collapseSize <= 0) {
-            return null;
+    async fetchPrice(config) {
+        if (this.isLive()) {
+            return this.bid !== null && this.ask !== null
+                ? (this.bid + this.ask) / 2
+                : this.lastPrice;
         }
 
-        // Calculate realized PnL from collapse
-        // PnL = (short_avg_price - long_avg_price) × collapse_size
-        const pnl = (this.shortPosition.avgPrice - this.longPosition.avgPrice) * collapseSize;
-
-        // Calculate margin to return
-        const longMarginReturn = this.calculateMargin(collapseSize, this.longPosition.avgPrice);
-        const shortMarginReturn = this.calculateMargin(collapseSize, this.shortPosition.avgPrice);
-
-        // Update positions
-        const newLongSize = this.longPosition.size - collapseSize;
-        const newShortSize = this.shortPosition.size - collapseSize;
-
-        this.longPosition = {
-            size: newLongSize,
-            avgPrice: newLongSize > 0 ? this.longPosition.avgPrice : 0
-        };
-
-        this.shortPosition = {
-            size: newShortSize,
-            avgPrice: newShortSize > 0 ? this.shortPosition.avgPrice : 0
-        };
+        const price = await this.fallback.fetchPrice(config);
+        if (price) {
+            this.candles.update(price, Date.now());
+        }
+        return price;
+    }
 
-        // Update balance: return margin + add PnL
-        this.balance += longMarginReturn + shortMarginReturn + pnl;
-        this.realizedPnL += pnl;
+    /**
+     * Best bid/ask from the book stream, or null before the first update
+     */
+    getQuote() {
+        return this.bid !== null && this.ask !== null ? { bid: this.bid, ask: this.ask } : null;
+    }
 
-        // Record collapse event
-        const collapse = {
-            id: this.collapses.length + 1,
-            timestamp: timestamp.toLocaleTimeString(),
-            isoTimestamp: timestamp.toISOString(),
-            size: collapseSize,
-            pnl: pnl
+    /**
+     * Connection summary for display
+     */
+    getStatus() {
+        const fallback = this.fallback.getStatus();
+        return {
+            source: this.source,
+            state: this.state,
+            fallback: !this.isLive(),
+            lastUpdateTime: Math.max(this.lastPriceTime, fallback.lastUpdateTime),
+            errors: this.errorCount + fallback.errors,
+            lastError: fallback.lastError,
+            reconnects: this.reconnects
         };
-
-        this.collapses.unshift(collapse);
-
-        return collapse;
     }
 
     /**
-     * Calculate unrealized PnL for both positions
+     * Rebuild candles with new CandleAggregator settings
      */
-    calculateUnrealizedPnL(currentPrice) {
-        const longPnL = this.longPosition.size > 0
-            ? this.longPosition.size * (currentPrice - this.longPosition.avgPrice)
-            : 0;
-
-        const shortPnL = this.shortPosition.size > 0
-            ? this.shortPosition.size * (this.shortPosition.avgPrice - currentPrice)
-            : 0;
-
-        return longPnL + shortPnL;
+    setCandleSettings(settings) {
+        this.candles = new CandleAggregator(settings);
     }
 
     /**
-     * Calculate total equity
-     * equity = balance + long_margin + short_margin + unrealized_pnl
+     * Get candles for ATR calculation
      */
-    calculateEquity(currentPrice) {
-        const longMargin = this.calculateMargin(this.longPosition.size, this.longPosition.avgPrice);
-        const shortMargin = this.calculateMargin(this.shortPosition.size, this.shortPosition.avgPrice);
-        const unrealizedPnL = this.calculateUnrealizedPnL(currentPrice);
-
-        return this.balance + longMargin + shortMargin + unrealizedPnL;
+    getCandles(durationMs) {
+        return this.candles.getCandles(durationMs);
     }
 
     /**
-     * Get current state snapshot for export
+     * Reset all data (the connection is left as it is)
      */
-    getState() {
-        return {
-            balance: this.balance,
-            longPosition: {...this.longPosition},
-            shortPosition: {...this.shortPosition},
-            realizedPnL: this.realizedPnL,
-            tradesCount: this.trades.length,
-            collapsesCount: this.collapses.length
-        };
+    reset() {
+        this.lastPrice = null;
+        this.bid = null;
+        this.ask = null;
+        this.lastMessageTime = 0;  // Any message, for the reconnect watchdog
+        this.lastPriceTime = 0;    // Trades and quotes only, for staleness
+        this.errorCount = 0;
+        this.candles.reset();
+        this.fallback.reset();
+    }
+}
+
+/**
+ * Create the live price source for a MARKET_DATA_SOURCES key
+ */
+function createMarketDataSource(name) {
+    if (!MARKET_DATA_SOURCES[name]) {
+        throw new Error(`Unknown market data source: ${name}`);
     }
+    return MARKET_DATA_SOURCES[name].transport === 'websocket'
+        ? new WebSocketPriceFeed(name)
+        : new LivePriceFetcher();
 }
 
 
 // ===========================================
-// 8. SIMULATION ENGINE MODULE
+// 9. HISTORICAL DATA MODULE
 // ===========================================
 
 /**
- * Main simulation engine coordinating all components
+ * Column names recognised in CSV headers and JSON objects (lower-cased)
  */
-class SimulationEngine {
-    constructor() {
-        this.rng = new SeededRNG();
-        this.priceSimulator = null;
-        this.livePriceFetcher = new LivePriceFetcher();
-        this.tradingEngine = new TradingEngine();
-        
-        this.mode = 'simulation';  // 'simulation' or 'live'
-        this.asset = 'BTC';
-        this.config = ASSET_CONFIGS.BTC;
-        this.isRunning = false;
-        this.intervalId = null;
-        this.tickCount = 0;
-        this.atrLength = TRADING_CONFIG.atrLength;
-        
-        // Data history for charts and export
-        this.dataHistory = [];
-        
-        // Current state
-        this.currentMid = 0;
-        this.currentQuotes = { bid: 0, ask: 0, baseSpread: 0, actualSpread: 0, skew: 0, imbalance: 0 };
-        this.currentATR = 0;
+const HISTORICAL_FIELDS = {
+    time: ['timestamp', 'time', 'date', 'datetime', 'open_time', 'opentime', 'ts', 't'],
+    open: ['open', 'o'],
+    high: ['high', 'h'],
+    low: ['low', 'l'],
+    close: ['close', 'c'],
+    price: ['price', 'p', 'last'],
+    volume: ['volume', 'vol', 'v', 'qty', 'q', 'quantity', 'size', 'amount']
+};
+
+/**
+ * Wall-clock ms between replay frames in historical mode
+ */
+const HISTORICAL_FRAME_MS = 100;
+
+/**
+ * Parse a timestamp in seconds, ms or µs since epoch, or a date string
+ * Returns ms since epoch, or null when unreadable
+ */
+function parseTimestamp(value) {
+    const number = Number(value);
+    if (value !== '' && value !== null && Number.isFinite(number)) {
+        if (number < 1e11) return number * 1000;         // seconds
+        if (number > 1e14) return Math.floor(number / 1000); // microseconds
+        return number;
     }
 
-    /**
-     * Initialize with specific asset
-     */
-    setAsset(asset) {
-        this.asset = asset;
-        this.config = ASSET_CONFIGS[asset];
-        this.priceSimulator = new PriceSimulator(asset, this.rng);
-        this.livePriceFetcher.reset();
+    const ms = Date.parse(value);
+    return Number.isNaN(ms) ? null : ms;
+}
+
+/**
+ * Build a candle or trade record from named fields
+ * Rows with a price but no OHLC are trades (open = high = low = close)
+ */
+function buildHistoricalRecord(fields) {
+    const time = parseTimestamp(fields.time);
+    const close = parseFloat(fields.close !== undefined ? fields.close : fields.price);
+    if (time === null || !(close > 0)) {
+        return null;
+    }
+
+    const isCandle = fields.open !== undefined && fields.high !== undefined && fields.low !== undefined;
+    return {
+        time: time,
+        open: isCandle ? parseFloat(fields.open) : close,
+        high: isCandle ? parseFloat(fields.high) : close,
+        low: isCandle ? parseFloat(fields.low) : close,
+        close: close,
+        volume: parseFloat(fields.volume) || 0,
+        isCandle: isCandle
+    };
+}
+
+/**
+ * Map a row of values to named fields using lower-cased column names
+ */
+function mapHistoricalFields(names, values) {
+    const fields = {};
+    for (const [field, aliases] of Object.entries(HISTORICAL_FIELDS)) {
+        const index = aliases.map(alias => names.indexOf(alias)).find(i => i >= 0);
+        if (index !== undefined) {
+            fields[field] = values[index];
+        }
+    }
+    return fields;
+}
+
+/**
+ * Map a headerless row by position
+ * Five or more columns are an exchange kline: time, open, high, low, close[, volume, ...]
+ * Two or three are time, price[, volume]
+ */
+function mapHistoricalPositions(values) {
+    if (values.length >= 5) {
+        const [time, open, high, low, close, volume] = values;
+        return { time, open, high, low, close, volume };
+    }
+    const [time, price, volume] = values;
+    return { time, price, volume };
+}
+
+/**
+ * Parse historical candles or trades from CSV text
+ * A header row names the columns (see HISTORICAL_FIELDS); without one the
+ * layout is inferred by position (see mapHistoricalPositions)
+ */
+function parseHistoricalCSV(text) {
+    const rows = text.split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(line => line !== '' && !line.startsWith('#'))
+        .map(line => line.split(/[,;\t]/).map(cell => cell.trim().replace(/^"|"$/g, '')));
+    if (rows.length === 0) {
+        return [];
+    }
+
+    const hasHeader = rows[0].some(cell => cell !== '' && Number.isNaN(Number(cell)) && Number.isNaN(Date.parse(cell)));
+    if (!hasHeader) {
+        return rows.map(values => buildHistoricalRecord(mapHistoricalPositions(values)));
+    }
+
+    const names = rows[0].map(name => name.toLowerCase());
+    return rows.slice(1).map(values => buildHistoricalRecord(mapHistoricalFields(names, values)));
+}
+
+/**
+ * Parse historical candles or trades from JSON text
+ * Accepts an array of arrays (kline or [time, price] rows), an array of
+ * objects with named fields, or an object wrapping such an array
+ * (the first array-valued property, e.g. `data` or CoinGecko's `prices`)
+ */
+function parseHistoricalJSON(text) {
+    let rows = JSON.parse(text);
+    if (!Array.isArray(rows)) {
+        rows = Object.values(rows || {}).find(value => Array.isArray(value)) || [];
+    }
+
+    return rows.map(row => {
+        if (Array.isArray(row)) {
+            return buildHistoricalRecord(mapHistoricalPositions(row));
+        }
+        const names = Object.keys(row).map(name => name.toLowerCase());
+        return buildHistoricalRecord(mapHistoricalFields(names, Object.values(row)));
+    });
+}
+
+/**
+ * Parse a historical data file into a time-ordered dataset
+ * Returns { name, kind: 'candles' | 'trades', intervalMs, records }
+ * intervalMs is the typical candle spacing (median gap between records)
+ */
+function parseHistoricalData(text, name = 'data') {
+    const trimmed = text.trim();
+    const isJSON = trimmed.startsWith('[') || trimmed.startsWith('{');
+    const records = (isJSON ? parseHistoricalJSON(trimmed) : parseHistoricalCSV(trimmed))
+        .filter(record => record !== null)
+        .sort((a, b) => a.time - b.time);
+
+    if (records.length === 0) {
+        throw new Error('No price rows found (expected time and close/price columns)');
+    }
+
+    const gaps = records.slice(1)
+        .map((record, i) => record.time - records[i].time)
+        .filter(gap => gap > 0)
+        .sort((a, b) => a - b);
+
+    return {
+        name: name,
+        kind: records.every(record => record.isCandle) ? 'candles' : 'trades',
+        intervalMs: gaps.length > 0 ? gaps[Math.floor(gaps.length / 2)] : TRADING_CONFIG.candleDurationMs,
+        records: records.map(({ isCandle, ...record }) => record)
+    };
+}
+
+/**
+ * Feeds a parsed historical dataset to the engine one price at a time
+ * Each candle becomes four ticks spread over its interval: open, then the
+ * nearer extreme (low for an up candle, high for a down one), the other
+ * extreme, and close. Trades are one tick each.
+ * Ticks are grouped into candles on the data's own timestamps; candle
+ * files never use a timeframe shorter than their own interval
+ */
+class HistoricalFeed {
+    constructor(data, candleSettings = {}) {
+        this.data = data;
+        this.setCandleSettings(candleSettings);
     }
 
     /**
-     * Set simulation mode
+     * Rebuild candles with new CandleAggregator settings and rewind
      */
-    setMode(mode) {
-        this.mode = mode;
+    setCandleSettings(settings) {
+        const minimum = this.data.kind === 'candles' ? this.data.intervalMs : 0;
+        const durationMs = settings.durationMs || TRADING_CONFIG.candleDurationMs;
+        this.candles = new CandleAggregator({
+            ...settings,
+            durationMs: Math.max(durationMs, minimum),
+            timeframes: (settings.timeframes || []).filter(ms => ms >= minimum)
+        });
+        this.reset();
     }
 
     /**
-     * Set RNG seed for reproducibility
+     * Time of the first record (ms since epoch)
      */
-    setSeed(seed) {
-        this.rng.setSeed(seed);
-        if (this.priceSimulator) {
-            this.priceSimulator.rng = this.rng;
-        }
+    get startTime() {
+        return this.data.records[0].time;
     }
 
     /**
-     * Set ATR calculation length
+     * Time of the last record (ms since epoch)
      */
-    setATRLength(length) {
-        this.atrLength = Math.max(5, Math.min(50, length));
+    get endTime() {
+        return this.data.records[this.data.records.length - 1].time;
     }
 
     /**
-     * Update asset configuration parameters
+     * Rewind to the first record
      */
-    updateConfig(params) {
-        if (params.kVol !== undefined) this.config.kVol = params.kVol;
-        if (params.kPos !== undefined) this.config.kPos = params.kPos;
-        if (params.tickSize !== undefined) this.config.tickSize = params.tickSize;
-        if (params.maxPosition !== undefined) this.config.maxPosition = params.maxPosition;
+    reset() {
+        this.index = 0;
+        this.pending = [];
+        this.candles.reset();
     }
 
     /**
-     * Set volatility regime for simulation mode
+     * Whether any ticks remain
      */
-    setVolatilityRegime(regime) {
-        if (this.priceSimulator) {
-            this.priceSimulator.setVolatilityRegime(regime);
-        }
+    hasNext() {
+        return this.pending.length > 0 || this.index < this.data.records.length;
     }
 
     /**
-     * Set price drift for simulation mode
+     * Time of the next tick without consuming it
      */
-    setDrift(drift) {
-        if (this.priceSimulator) {
-            this.priceSimulator.setDrift(drift);
-        }
+    peekTime() {
+        this.fillPending();
+        return this.pending.length > 0 ? this.pending[0].time : null;
     }
 
     /**
-     * Reset entire simulation state
+     * Next { time, price } tick, or null at the end of the data
      */
-    reset(initialBalance) {
-        this.stop();
-        this.tickCount = 0;
-        this.dataHistory = [];
-        this.currentMid = 0;
-        this.currentATR = 0;
-        this.currentQuotes = { bid: 0, ask: 0, baseSpread: 0, actualSpread: 0, skew: 0, imbalance: 0 };
-        
-        this.tradingEngine.reset(initialBalance);
-        this.rng.reset();
-        
-        if (this.priceSimulator) {
-            this.priceSimulator.reset();
+    next() {
+        this.fillPending();
+        const tick = this.pending.shift();
+        if (!tick) {
+            return null;
         }
-        this.livePriceFetcher.reset();
+
+        this.candles.update(tick.price, tick.time);
+
+        return tick;
     }
 
     /**
-     * Start simulation/live trading
+     * Expand the next record into pending ticks
      */
-    async start() {
-        if (this.isRunning) return;
-        
-        this.isRunning = true;
-        
-        // Initial price fetch in live mode
-        if (this.mode === 'live') {
-            const price = await this.livePriceFetcher.fetchPrice(this.config.coinId);
-            if (price) {
-                this.currentMid = price;
-            }
+    fillPending() {
+        if (this.pending.length > 0 || this.index >= this.data.records.length) {
+            return;
         }
 
-        // Main loop
-        const tickInterval = this.mode === 'simulation' 
-            ? TRADING_CONFIG.tickIntervalMs 
-            : TRADING_CONFIG.priceUpdateIntervalMs;
+        const record = this.data.records[this.index++];
+        if (this.data.kind === 'trades') {
+            this.pending.push({ time: record.time, price: record.close });
+            return;
+        }
 
-        this.intervalId = setInterval(() => this.tick(), tickInterval);
-        
-        // Run first tick immediately
-        this.tick();
+        const step = this.data.intervalMs / 4;
+        const extremes = record.close >= record.open
+            ? [record.low, record.high]
+            : [record.high, record.low];
+        [record.open, ...extremes, record.close].forEach((price, i) => {
+            this.pending.push({ time: record.time + i * step, price: price });
+        });
+    }
+
+    /**
+     * Get candles for ATR calculation
+     */
+    getCandles(durationMs) {
+        return this.candles.getCandles(durationMs);
+    }
+
+    /**
+     * Summary of the loaded data for manifests and the UI
+     */
+    describe() {
+        return {
+            name: this.data.name,
+            kind: this.data.kind,
+            records: this.data.records.length,
+            intervalMs: this.data.intervalMs,
+            startTime: this.startTime,
+            endTime: this.endTime
+        };
+    }
+}
+
+
+// ===========================================
+// 10. TRADING ENGINE MODULE
+// ===========================================
+
+/**
+ * Collapse policies decide when long and short legs are netted
+ * evaluate(ctx, params) returns the share (0-1) of min(long, short) to net
+ * now; 0 = no collapse. Only asked while both legs are open
+ *
+ * ctx: { balance, equity, usedMargin, overlap, pnl, fee }
+ *   usedMargin = margin held by both legs; equity includes it
+ *   pnl = (short avg − long avg) × overlap, fee = taker fees to net it at mark
+ */
+const COLLAPSE_POLICIES = {
+    lowBalance: {
+        label: 'Low balance',
+        description: 'Net everything once free balance falls below a threshold (legacy)',
+        params: {
+            threshold: { label: 'Balance $', default: TRADING_CONFIG.collapseThreshold, min: 0, step: 10 }
+        },
+        evaluate(ctx, params) {
+            return ctx.balance < params.threshold ? 1 : 0;
+        }
+    },
+
+    always: {
+        label: 'Always',
+        description: 'Net every tick both legs are open',
+        params: {},
+        evaluate() {
+            return 1;
+        }
+    },
+
+    marginUtilization: {
+        label: 'Margin use',
+        description: 'Net once margin held reaches a share of equity',
+        params: {
+            utilization: { label: 'Margin %', default: 50, min: 0, max: 100, step: 5 }
+        },
+        evaluate(ctx, params) {
+            // No equity left counts as fully used
+            const utilization = ctx.equity > 0 ? ctx.usedMargin / ctx.equity * 100 : Infinity;
+            return utilization >= params.utilization ? 1 : 0;
+        }
+    },
+
+    profitable: {
+        label: 'Profitable only',
+        description: 'Net only when the netted PnL after fees beats a minimum',
+        params: {
+            minPnL: { label: 'Min PnL $', default: 0, step: 0.1 }
+        },
+        evaluate(ctx, params) {
+            return ctx.pnl - ctx.fee > params.minPnL ? 1 : 0;
+        }
+    },
+
+    partial: {
+        label: 'Partial',
+        description: 'Net a fraction of the overlap once balance falls below a threshold',
+        params: {
+            threshold: { label: 'Balance $', default: TRADING_CONFIG.collapseThreshold, min: 0, step: 10 },
+            fraction: { label: 'Net %', default: 50, min: 1, max: 100, step: 5 }
+        },
+        evaluate(ctx, params) {
+            return ctx.balance < params.threshold ? Math.min(Math.max(params.fraction, 0), 100) / 100 : 0;
+        }
+    }
+};
+
+const DEFAULT_COLLAPSE_POLICY = 'lowBalance';
+
+/**
+ * Core trading engine handling positions, margin, and collapses
+ */
+class TradingEngine {
+    /**
+     * tradeLimit caps the in-memory trade log (Infinity keeps every trade)
+     * Event logs are kept oldest first so recording stays O(1) on long
+     * runs; engines' getLog hands them out newest first
+     * account holds the cash balance; engines given the same account
+     * share it (cross margin, see PortfolioEngine)
+     */
+    constructor({ tradeLimit = 100, positionMode = 'hedge', account = { balance: 0 } } = {}) {
+        this.tradeLimit = tradeLimit;
+        this.account = account;
+        this.setPositionMode(positionMode);
+        this.setFees('none');
+        this.reset();
+    }
+
+    get balance() {
+        return this.account.balance;
+    }
+
+    set balance(value) {
+        this.account.balance = value;
+    }
+
+    /**
+     * Set fee rates from a FEE_TIERS name or { tier, maker, taker }
+     */
+    setFees(fees) {
+        const rates = typeof fees === 'string' ? { tier: fees, ...FEE_TIERS[fees] } : fees;
+        if (!rates || rates.maker === undefined || rates.taker === undefined) {
+            throw new Error(`Unknown fee tier: ${fees}`);
+        }
+        this.fees = { tier: rates.tier || 'custom', maker: rates.maker, taker: rates.taker };
+    }
+
+    /**
+     * Fee for a fill: notional × rate (negative = rebate)
+     */
+    calculateFee(size, price, liquidity = 'maker') {
+        return size * price * this.fees[liquidity];
+    }
+
+    /**
+     * Set position accounting mode (see POSITION_MODES)
+     */
+    setPositionMode(mode) {
+        if (!POSITION_MODES[mode]) {
+            throw new Error(`Unknown position mode: ${mode}`);
+        }
+        this.positionMode = mode;
+    }
+
+    /**
+     * Reset all trading state
+     */
+    reset(initialBalance = TRADING_CONFIG.defaultBalance) {
+        this.balance = initialBalance;
+        this.initialBalance = initialBalance;
+        this.leverage = TRADING_CONFIG.leverage;
+        
+        this.longPosition = { size: 0, avgPrice: 0 };
+        this.shortPosition = { size: 0, avgPrice: 0 };
+        
+        this.realizedPnL = 0;
+        this.feesPaid = 0;      // Net of rebates
+        this.fundingPaid = 0;   // Negative when funding was received
+        this.penaltiesPaid = 0; // Liquidation penalties
+        this.tradedCount = 0;   // Every fill, logged or not
+        this.tradedNotional = 0; // and their price × size
+        this.trades = [];
+        this.collapses = [];
+        this.fundingPayments = [];
+        this.liquidations = [];
+        this.riskEvents = [];
+    }
+
+    /**
+     * Log a risk limit breach: { type, action, side, value, limit }
+     * action is 'PULL' (one side stops quoting) or 'KILL' (engine stopped)
+     */
+    recordRiskEvent(breach, timestamp) {
+        return logRiskEvent(this.riskEvents, breach, timestamp, this.tradeLimit);
+    }
+
+    /**
+     * Calculate margin required for a trade
+     * margin = size × price / leverage
+     */
+    calculateMargin(size, price) {
+        return (size * price) / this.leverage;
+    }
+
+    /**
+     * Margin one full-size order needs
+     */
+    getMinimumMargin() {
+        return TRADING_CONFIG.orderSizeUSD / this.leverage;
+    }
+
+    /**
+     * Calculate order size based on $50 notional
+     */
+    calculateOrderSize(price) {
+        const buyingPower = Math.max(0, this.balance * this.leverage);
+        const maxNotional = Math.min(TRADING_CONFIG.orderSizeUSD, buyingPower);
+        return maxNotional / price;
+    }
+
+    /**
+     * Execute entry order (long or short)
+     * Returns trade object or null if insufficient margin
+     */
+    executeEntry(side, price, size, timestamp = new Date()) {
+        const margin = this.calculateMargin(size, price);
+        const fee = this.calculateFee(size, price);
+
+        // Check available margin (rebates don't count towards it)
+        if (margin + Math.max(fee, 0) > this.balance) {
+            return null;
+        }
+
+        // Deduct margin and fee from balance
+        this.balance -= margin + fee;
+        this.feesPaid += fee;
+
+        if (side === 'LONG') {
+            // Update long position with weighted average price
+            const newSize = this.longPosition.size + size;
+            const newAvgPrice = this.longPosition.size > 0
+                ? (this.longPosition.avgPrice * this.longPosition.size + price * size) / newSize
+                : price;
+            
+            this.longPosition = { size: newSize, avgPrice: newAvgPrice };
+        } else {
+            // Update short position
+            const newSize = this.shortPosition.size + size;
+            const newAvgPrice = this.shortPosition.size > 0
+                ? (this.shortPosition.avgPrice * this.shortPosition.size + price * size) / newSize
+                : price;
+            
+            this.shortPosition = { size: newSize, avgPrice: newAvgPrice };
+        }
+
+        // Record trade
+        return this.recordTrade({
+            id: this.trades.length + 1,
+            timestamp: timestamp.toLocaleTimeString(),
+            isoTimestamp: timestamp.toISOString(),
+            side: side,
+            action: 'OPEN',
+            price: price,
+            size: size,
+            margin: margin,
+            fee: fee
+        });
+    }
+
+    /**
+     * Add a trade to the log
+     */
+    recordTrade(trade) {
+        this.tradedCount++;
+        this.tradedNotional += trade.price * trade.size;
+        this.trades.push(trade);
+        
+        // Keep last N trades in memory
+        if (this.trades.length > this.tradeLimit) {
+            this.trades.shift();
+        }
+
+        return trade;
+    }
+
+    /**
+     * Execute a fill of one of our quotes
+     * In hedge mode every fill is an entry. In netting mode the fill first
+     * closes any opposite position, and only the remainder opens a new one
+     * Returns the resulting trades (empty if rejected for margin)
+     */
+    executeFill(side, price, size, timestamp = new Date()) {
+        if (this.positionMode === 'hedge') {
+            const trade = this.executeEntry(side, price, size, timestamp);
+            return trade ? [trade] : [];
+        }
+
+        const trades = [];
+        const opposite = side === 'LONG' ? this.shortPosition : this.longPosition;
+        const closeSize = Math.min(size, opposite.size);
+
+        if (closeSize > 0) {
+            trades.push(this.executeClose(side, price, closeSize, timestamp));
+        }
+
+        // Ignore float dust left after closing
+        const remaining = size - closeSize;
+        if (remaining > size * 1e-9) {
+            const trade = this.executeEntry(side, price, remaining, timestamp);
+            if (trade) {
+                trades.push(trade);
+            }
+        }
+
+        return trades;
+    }
+
+    /**
+     * Close part of the opposite position at price and realize its PnL
+     * side is the fill direction: LONG (buy) closes short, SHORT (sell) closes long
+     *
+     * pnl = (exit - entry) × size for a long, (entry - exit) × size for a short
+     */
+    executeClose(side, price, size, timestamp = new Date()) {
+        const closingLong = side === 'SHORT';
+        const position = closingLong ? this.longPosition : this.shortPosition;
+
+        const pnl = closingLong
+            ? (price - position.avgPrice) * size
+            : (position.avgPrice - price) * size;
+        const marginReturn = this.calculateMargin(size, position.avgPrice);
+        const fee = this.calculateFee(size, price);
+
+        const newSize = position.size - size;
+        const updated = { size: newSize, avgPrice: newSize > 0 ? position.avgPrice : 0 };
+        if (closingLong) {
+            this.longPosition = updated;
+        } else {
+            this.shortPosition = updated;
+        }
+
+        // Return margin, add realized PnL, charge fee
+        this.balance += marginReturn + pnl - fee;
+        this.realizedPnL += pnl;
+        this.feesPaid += fee;
+
+        return this.recordTrade({
+            id: this.trades.length + 1,
+            timestamp: timestamp.toLocaleTimeString(),
+            isoTimestamp: timestamp.toISOString(),
+            side: side,
+            action: 'CLOSE',
+            price: price,
+            size: size,
+            margin: -marginReturn,
+            fee: fee,
+            entryPrice: position.avgPrice,
+            pnl: pnl
+        });
+    }
+
+    /**
+     * Share of the long/short overlap a collapse policy nets at this
+     * mark price (see COLLAPSE_POLICIES); 0 unless both positions exist
+     */
+    getCollapseFraction(policy, markPrice) {
+        const overlap = Math.min(this.longPosition.size, this.shortPosition.size);
+        if (overlap <= 0) {
+            return 0;
+        }
+
+        const ctx = {
+            balance: this.balance,
+            equity: this.calculateEquity(markPrice),
+            usedMargin: this.calculateMargin(this.longPosition.size, this.longPosition.avgPrice)
+                + this.calculateMargin(this.shortPosition.size, this.shortPosition.avgPrice),
+            overlap: overlap,
+            pnl: (this.shortPosition.avgPrice - this.longPosition.avgPrice) * overlap,
+            fee: 2 * this.calculateFee(overlap, markPrice, 'taker')
+        };
+
+        return COLLAPSE_POLICIES[policy.name].evaluate(ctx, policy.params);
+    }
+
+    /**
+     * Execute collapse (internal position netting)
+     * 
+     * COLLAPSE MECHANICS:
+     * 1. collapse_size = min(long_size, short_size) × fraction
+     * 2. pnl = (short_avg_price - long_avg_price) × collapse_size
+     * 3. Return margin for collapsed positions
+     * 4. Add realized PnL to balance
+     * 5. Charge taker fees for closing both legs at price (default: entry prices)
+     */
+    executeCollapse(timestamp = new Date(), price = null, fraction = 1) {
+        const collapseSize = Math.min(this.longPosition.size, this.shortPosition.size) * fraction;
+        
+        if (collapseSize <= 0) {
+            return null;
+        }
+
+        // Calculate realized PnL from collapse
+        // PnL = (short_avg_price - long_avg_price) × collapse_size
+        const pnl = (this.shortPosition.avgPrice - this.longPosition.avgPrice) * collapseSize;
+
+        // Calculate margin to return
+        const longMarginReturn = this.calculateMargin(collapseSize, this.longPosition.avgPrice);
+        const shortMarginReturn = this.calculateMargin(collapseSize, this.shortPosition.avgPrice);
+
+        // Closing each leg is a taker order
+        const fee = this.calculateFee(collapseSize, price !== null ? price : this.longPosition.avgPrice, 'taker')
+            + this.calculateFee(collapseSize, price !== null ? price : this.shortPosition.avgPrice, 'taker');
+
+        // Update positions
+        const newLongSize = this.longPosition.size - collapseSize;
+        const newShortSize = this.shortPosition.size - collapseSize;
+
+        this.longPosition = {
+            size: newLongSize,
+            avgPrice: newLongSize > 0 ? this.longPosition.avgPrice : 0
+        };
+
+        this.shortPosition = {
+            size: newShortSize,
+            avgPrice: newShortSize > 0 ? this.shortPosition.avgPrice : 0
+        };
+
+        // Update balance: return margin + add PnL - fees
+        this.balance += longMarginReturn + shortMarginReturn + pnl - fee;
+        this.realizedPnL += pnl;
+        this.feesPaid += fee;
+
+        // Record collapse event
+        const collapse = {
+            id: this.collapses.length + 1,
+            timestamp: timestamp.toLocaleTimeString(),
+            isoTimestamp: timestamp.toISOString(),
+            size: collapseSize,
+            pnl: pnl,
+            fee: fee
+        };
+
+        this.collapses.push(collapse);
+
+        return collapse;
+    }
+
+    /**
+     * Charge or pay perpetual funding on the net position
+     * payment = net_size × mark_price × rate (longs pay when rate > 0)
+     */
+    applyFunding(markPrice, rate, timestamp = new Date()) {
+        const netPosition = this.longPosition.size - this.shortPosition.size;
+        const payment = netPosition * markPrice * rate;
+
+        this.balance -= payment;
+        this.fundingPaid += payment;
+
+        const funding = {
+            id: this.fundingPayments.length + 1,
+            timestamp: timestamp.toLocaleTimeString(),
+            isoTimestamp: timestamp.toISOString(),
+            rate: rate,
+            position: netPosition,
+            markPrice: markPrice,
+            payment: payment
+        };
+
+        this.fundingPayments.push(funding);
+
+        return funding;
+    }
+
+    /**
+     * Maintenance margin requirement at mark price
+     * Both legs count in hedge mode, as on exchanges
+     */
+    calculateMaintenanceMargin(markPrice, maintenanceRate) {
+        return (this.longPosition.size + this.shortPosition.size) * markPrice * maintenanceRate;
+    }
+
+    /**
+     * Check if equity has fallen below maintenance margin
+     */
+    shouldLiquidate(markPrice, maintenanceRate) {
+        // Dust positions (e.g. reopened from a wiped-out balance) aren't worth a liquidation
+        const maintenance = this.calculateMaintenanceMargin(markPrice, maintenanceRate);
+        return maintenance >= 0.01 && this.calculateEquity(markPrice) < maintenance;
+    }
+
+    /**
+     * Force-close positions at mark price
+     *
+     * LIQUIDATION MECHANICS:
+     * 1. 'partial' closes `partialFraction` of each leg, 'full' closes all
+     *    (a partial step that leaves equity ≤ 0 escalates to full)
+     * 2. Each leg realizes its PnL at mark and returns its margin
+     * 3. penalty × liquidated notional is deducted from balance,
+     *    capped at the remaining equity
+     *
+     * equity is what the account is judged on: this engine's by default,
+     * the whole portfolio's under cross margin
+     */
+    executeLiquidation(markPrice, maintenanceRate, settings, timestamp = new Date(), equity = this.calculateEquity(markPrice)) {
+        const equityBefore = equity;
+        const maintenance = this.calculateMaintenanceMargin(markPrice, maintenanceRate);
+
+        let fraction = settings.mode === 'full' ? 1 : settings.partialFraction;
+        if (fraction < 1) {
+            // Equity left after a partial close, penalty included
+            const closedNotional = (this.longPosition.size + this.shortPosition.size) * fraction * markPrice;
+            if (equityBefore - closedNotional * settings.penalty <= 0) {
+                fraction = 1;
+            }
+        }
+
+        const longSize = this.longPosition.size * fraction;
+        const shortSize = this.shortPosition.size * fraction;
+
+        const pnl = longSize * (markPrice - this.longPosition.avgPrice)
+            + shortSize * (this.shortPosition.avgPrice - markPrice);
+        const marginReturn = this.calculateMargin(longSize, this.longPosition.avgPrice)
+            + this.calculateMargin(shortSize, this.shortPosition.avgPrice);
+        // Penalty can't take equity below zero (the rest is the exchange's loss)
+        const penalty = Math.min((longSize + shortSize) * markPrice * settings.penalty, Math.max(0, equityBefore));
+
+        const newLongSize = fraction < 1 ? this.longPosition.size - longSize : 0;
+        const newShortSize = fraction < 1 ? this.shortPosition.size - shortSize : 0;
+        this.longPosition = { size: newLongSize, avgPrice: newLongSize > 0 ? this.longPosition.avgPrice : 0 };
+        this.shortPosition = { size: newShortSize, avgPrice: newShortSize > 0 ? this.shortPosition.avgPrice : 0 };
+
+        this.balance += marginReturn + pnl - penalty;
+        this.realizedPnL += pnl;
+        this.penaltiesPaid += penalty;
+
+        const liquidation = {
+            id: this.liquidations.length + 1,
+            timestamp: timestamp.toLocaleTimeString(),
+            isoTimestamp: timestamp.toISOString(),
+            type: fraction < 1 ? 'PARTIAL' : 'FULL',
+            markPrice: markPrice,
+            longSize: longSize,
+            shortSize: shortSize,
+            equityBefore: equityBefore,
+            maintenanceMargin: maintenance,
+            pnl: pnl,
+            penalty: penalty
+        };
+
+        this.liquidations.push(liquidation);
+
+        return liquidation;
+    }
+
+    /**
+     * Calculate unrealized PnL for both positions
+     */
+    calculateUnrealizedPnL(currentPrice) {
+        const longPnL = this.longPosition.size > 0
+            ? this.longPosition.size * (currentPrice - this.longPosition.avgPrice)
+            : 0;
+
+        const shortPnL = this.shortPosition.size > 0
+            ? this.shortPosition.size * (this.shortPosition.avgPrice - currentPrice)
+            : 0;
+
+        return longPnL + shortPnL;
+    }
+
+    /**
+     * Calculate total equity
+     * equity = balance + long_margin + short_margin + unrealized_pnl
+     */
+    calculateEquity(currentPrice) {
+        const longMargin = this.calculateMargin(this.longPosition.size, this.longPosition.avgPrice);
+        const shortMargin = this.calculateMargin(this.shortPosition.size, this.shortPosition.avgPrice);
+        const unrealizedPnL = this.calculateUnrealizedPnL(currentPrice);
+
+        return this.balance + longMargin + shortMargin + unrealizedPnL;
+    }
+
+    /**
+     * Margin held plus unrealized PnL: what the positions add to equity
+     */
+    calculatePositionValue(currentPrice) {
+        const longMargin = this.calculateMargin(this.longPosition.size, this.longPosition.avgPrice);
+        const shortMargin = this.calculateMargin(this.shortPosition.size, this.shortPosition.avgPrice);
+
+        return longMargin + shortMargin + this.calculateUnrealizedPnL(currentPrice);
+    }
+
+    /**
+     * Get current state snapshot for export
+     */
+    getState() {
+        return {
+            balance: this.balance,
+            longPosition: {...this.longPosition},
+            shortPosition: {...this.shortPosition},
+            realizedPnL: this.realizedPnL,
+            feesPaid: this.feesPaid,
+            fundingPaid: this.fundingPaid,
+            penaltiesPaid: this.penaltiesPaid,
+            tradedCount: this.tradedCount,
+            tradedNotional: this.tradedNotional,
+            positionMode: this.positionMode,
+            tradesCount: this.trades.length,
+            collapsesCount: this.collapses.length,
+            liquidationsCount: this.liquidations.length
+        };
+    }
+}
+
+/**
+ * Add a risk event for breach to an event log (oldest first, at most
+ * limit entries) and return it
+ * Shared by TradingEngine and PortfolioEngine's account-wide log
+ */
+function logRiskEvent(events, breach, timestamp, limit = Infinity) {
+    const event = {
+        id: events.length + 1,
+        timestamp: timestamp.toLocaleTimeString(),
+        isoTimestamp: timestamp.toISOString(),
+        side: null,
+        ...breach
+    };
+    events.push(event);
+    if (events.length > limit) {
+        events.shift();
+    }
+    return event;
+}
+
+/**
+ * Stop an engine for good (until reset) on a logged KILL event, then tell
+ * the UI through its onRiskEvent and onHalt callbacks
+ */
+function haltEngine(engine, event) {
+    engine.halt = event;
+    engine.stop();
+    if (engine.onRiskEvent) {
+        engine.onRiskEvent(event);
+    }
+    if (engine.onHalt) {
+        engine.onHalt(event);
+    }
+}
+
+/**
+ * Kill switch check against RISK_CONFIG-style limits
+ * Returns the tripped limit as { type, value, limit }, or null
+ */
+function checkKillSwitch(risk, equity, startEquity, peakEquity) {
+    if (!risk.enabled) {
+        return null;
+    }
+
+    const loss = startEquity - equity;
+    if (risk.maxSessionLoss > 0 && loss >= risk.maxSessionLoss) {
+        return { type: 'SESSION_LOSS', value: loss, limit: risk.maxSessionLoss };
+    }
+
+    const drawdown = peakEquity > 0 ? (peakEquity - equity) / peakEquity : 0;
+    if (risk.maxDrawdown > 0 && drawdown >= risk.maxDrawdown) {
+        return { type: 'DRAWDOWN', value: drawdown, limit: risk.maxDrawdown };
+    }
+
+    return null;
+}
+
+/**
+ * Add one fill's markout to per-horizon totals
+ * stats: { [horizon]: { fills, total, informedFills, informedTotal } }
+ */
+function addMarkout(stats, horizon, markout, informed) {
+    const entry = stats[horizon] || (stats[horizon] = { fills: 0, total: 0, informedFills: 0, informedTotal: 0 });
+    entry.fills++;
+    entry.total += markout;
+    if (informed) {
+        entry.informedFills++;
+        entry.informedTotal += markout;
+    }
+}
+
+/**
+ * Average markout per fill at each horizon, overall and split by taker
+ * (an average is null when there were no such fills)
+ */
+function summarizeMarkouts(stats, horizons) {
+    const average = (total, count) => count > 0 ? total / count : null;
+    return horizons.map(horizon => {
+        const { fills, total, informedFills, informedTotal } = stats[horizon]
+            || { fills: 0, total: 0, informedFills: 0, informedTotal: 0 };
+        return {
+            horizon: horizon,
+            fills: fills,
+            total: total,
+            average: average(total, fills),
+            informedFills: informedFills,
+            informedAverage: average(informedTotal, informedFills),
+            uninformedAverage: average(total - informedTotal, fills - informedFills)
+        };
+    });
+}
+
+
+// ===========================================
+// 11. HISTORY STORE MODULE
+// ===========================================
+
+/**
+ * Rows per chunk of a history column
+ */
+const HISTORY_CHUNK_SIZE = 16384;
+
+/**
+ * Epoch ms of an ISO timestamp, or NaN unless it reads back identically
+ */
+function parseISOTime(value) {
+    const time = Date.parse(value);
+    return !Number.isNaN(time) && new Date(time).toISOString() === value ? time : NaN;
+}
+
+/**
+ * Append-only store for dataHistory: one typed-array column per field,
+ * grown in fixed-size chunks so millions of points fit without copying
+ * (8 bytes per numeric field per point, against a few hundred per object)
+ *
+ * Nested fields get one column per path ('assets.BTC.mid'); ISO
+ * timestamps are stored as epoch ms. A field a point lacks (or left
+ * undefined) is absent again on read; other non-numeric values (nulls
+ * from a saved file) are kept per row beside the column. Points are
+ * rebuilt as plain objects on read
+ *
+ * `limit` keeps only the newest points (older chunks are freed); 0 keeps none
+ */
+class HistoryStore {
+    constructor({ limit = Infinity } = {}) {
+        this.limit = limit;
+        this.columns = new Map();   // path → { keys, time, first, chunks, other }
+        this.start = 0;             // row index of the oldest kept point
+        this.end = 0;               // row index after the newest point
+    }
+
+    /**
+     * Store holding an array of points (e.g. a saved run's history)
+     */
+    static from(points) {
+        const store = new HistoryStore();
+        for (const point of points) {
+            store.push(point);
+        }
+        return store;
+    }
+
+    get length() {
+        return this.end - this.start;
+    }
+
+    /**
+     * Append a point, dropping the oldest one past the limit
+     */
+    push(point) {
+        if (this.limit === 0) return;
+
+        const row = this.end++;
+        this.writeFields(point, '', row);
+
+        if (this.length > this.limit) {
+            this.start = this.end - this.limit;
+            this.freeChunks();
+        }
+    }
+
+    /**
+     * Write every leaf field of a (nested) point into its column
+     */
+    writeFields(values, prefix, row) {
+        for (const [key, value] of Object.entries(values)) {
+            if (value !== null && typeof value === 'object') {
+                this.writeFields(value, `${prefix}${key}.`, row);
+                continue;
+            }
+
+            const column = this.getColumn(prefix + key, typeof value === 'string', row);
+            const chunk = this.getChunk(column, row);
+            const number = column.time && typeof value === 'string' ? parseISOTime(value) : value;
+            if (typeof number === 'number' && !Number.isNaN(number)) {
+                chunk[row % HISTORY_CHUNK_SIZE] = number;
+            } else if (value !== undefined) {
+                column.other.set(row, value);
+            }
+        }
+    }
+
+    /**
+     * Column for a field path, created on first use
+     * A column first seen with a string holds ISO times
+     */
+    getColumn(path, time, row) {
+        let column = this.columns.get(path);
+        if (!column) {
+            column = { keys: path.split('.'), time: time, first: row, chunks: [], other: new Map() };
+            this.columns.set(path, column);
+        }
+        return column;
+    }
+
+    /**
+     * Chunk of a column holding row, allocated (NaN = no value) on first use
+     */
+    getChunk(column, row) {
+        const index = Math.floor(row / HISTORY_CHUNK_SIZE);
+        if (!column.chunks[index]) {
+            column.chunks[index] = new Float64Array(HISTORY_CHUNK_SIZE).fill(NaN);
+        }
+        return column.chunks[index];
+    }
+
+    /**
+     * Release chunks and per-row values older than the oldest kept point
+     */
+    freeChunks() {
+        const firstChunk = Math.floor(this.start / HISTORY_CHUNK_SIZE);
+        for (const column of this.columns.values()) {
+            for (let i = 0; i < firstChunk; i++) {
+                column.chunks[i] = null;
+            }
+            for (const row of column.other.keys()) {
+                if (row >= this.start) break;
+                column.other.delete(row);
+            }
+        }
+    }
+
+    /**
+     * Stored value of a column at a row (undefined when the point had none)
+     */
+    readValue(column, row) {
+        if (row < column.first) {
+            return undefined;
+        }
+        const chunk = column.chunks[Math.floor(row / HISTORY_CHUNK_SIZE)];
+        const value = chunk ? chunk[row % HISTORY_CHUNK_SIZE] : NaN;
+        if (Number.isNaN(value)) {
+            return column.other.get(row);
+        }
+        return column.time ? new Date(value).toISOString() : value;
+    }
+
+    /**
+     * Whether any point had a field path
+     */
+    has(path) {
+        return this.columns.has(path);
+    }
+
+    /**
+     * Field names under a path prefix such as 'assets.BTC.' (top-level ones
+     * by default; nested objects such as `assets` by their key)
+     */
+    fields(prefix = '') {
+        const paths = [...this.columns.keys()].filter(path => path.startsWith(prefix));
+        return [...new Set(paths.map(path => path.slice(prefix.length).split('.')[0]))];
+    }
+
+    /**
+     * Every kept value of a field path as a Float64Array, oldest first
+     * Times are epoch ms; missing and non-numeric values are NaN
+     */
+    column(path) {
+        const values = new Float64Array(this.length).fill(NaN);
+        const column = this.columns.get(path);
+        if (!column) {
+            return values;
+        }
+
+        for (let row = Math.max(this.start, column.first); row < this.end; row++) {
+            const chunk = column.chunks[Math.floor(row / HISTORY_CHUNK_SIZE)];
+            if (chunk) {
+                values[row - this.start] = chunk[row % HISTORY_CHUNK_SIZE];
+            }
+        }
+        return values;
+    }
+
+    /**
+     * Point at an index; negative indices count back from the newest
+     */
+    at(index) {
+        const row = (index < 0 ? this.end : this.start) + index;
+        if (row < this.start || row >= this.end) {
+            return undefined;
+        }
+
+        const point = {};
+        for (const column of this.columns.values()) {
+            const value = this.readValue(column, row);
+            if (value === undefined) continue;
+
+            let target = point;
+            for (const key of column.keys.slice(0, -1)) {
+                target = target[key] || (target[key] = {});
+            }
+            target[column.keys[column.keys.length - 1]] = value;
+        }
+        return point;
+    }
+
+    /**
+     * Points from begin up to (not including) end, as with Array.slice
+     */
+    slice(begin = 0, end = this.length) {
+        const from = begin < 0 ? Math.max(0, this.length + begin) : Math.min(begin, this.length);
+        const to = end < 0 ? Math.max(0, this.length + end) : Math.min(end, this.length);
+        const points = [];
+        for (let i = from; i < to; i++) {
+            points.push(this.at(i));
+        }
+        return points;
+    }
+
+    *[Symbol.iterator]() {
+        for (let i = 0; i < this.length; i++) {
+            yield this.at(i);
+        }
+    }
+
+    /**
+     * Serialize as an array of points, so exports hold the whole run
+     */
+    toJSON() {
+        return this.slice();
+    }
+}
+
+/**
+ * Largest-Triangle-Three-Buckets downsampling: indices of at most
+ * `threshold` points of the series (x, y) that keep its visual shape
+ * Points with a NaN value are skipped
+ */
+function downsampleLTTB(x, y, threshold) {
+    const valid = [];
+    for (let i = 0; i < y.length; i++) {
+        if (!Number.isNaN(y[i])) {
+            valid.push(i);
+        }
+    }
+    if (threshold < 3 || valid.length <= threshold) {
+        return valid;
+    }
+
+    // First and last points stay; the rest is split into threshold − 2 buckets
+    const sampled = [valid[0]];
+    const bucketSize = (valid.length - 2) / (threshold - 2);
+    let previous = valid[0];
+
+    for (let bucket = 0; bucket < threshold - 2; bucket++) {
+        const from = Math.floor(bucket * bucketSize) + 1;
+        const to = Math.floor((bucket + 1) * bucketSize) + 1;
+
+        // Average of the next bucket (the last point for the final one)
+        const nextFrom = to;
+        const nextTo = Math.min(Math.floor((bucket + 2) * bucketSize) + 1, valid.length - 1);
+        let averageX = 0;
+        let averageY = 0;
+        const nextCount = Math.max(1, nextTo - nextFrom);
+        for (let j = nextFrom; j < nextFrom + nextCount; j++) {
+            averageX += x[valid[j]];
+            averageY += y[valid[j]];
+        }
+        averageX /= nextCount;
+        averageY /= nextCount;
+
+        // Keep the point forming the largest triangle with the previous
+        // kept point and the next bucket's average
+        let best = valid[from];
+        let bestArea = -1;
+        for (let j = from; j < to; j++) {
+            const i = valid[j];
+            const area = Math.abs((x[previous] - averageX) * (y[i] - y[previous])
+                - (x[previous] - x[i]) * (averageY - y[previous]));
+            if (area > bestArea) {
+                bestArea = area;
+                best = i;
+            }
+        }
+
+        sampled.push(best);
+        previous = best;
+    }
+
+    sampled.push(valid[valid.length - 1]);
+    return sampled;
+}
+
+
+// ===========================================
+// 12. SIMULATION ENGINE MODULE
+// ===========================================
+
+/**
+ * Sources of each tick's PnL, stored per tick in dataHistory under `field`
+ * The components sum to the tick's equity change
+ */
+const PNL_COMPONENTS = {
+    spread: {
+        label: 'Spread',
+        description: 'Edge earned at fill: (mid − price) × size for a buy, the reverse for a sell',
+        field: 'pnlSpread',
+        color: '#3fb950'
+    },
+    inventory: {
+        label: 'Inventory',
+        description: 'Revaluation of the net position held since the last tick: net × Δmid',
+        field: 'pnlInventory',
+        color: '#58a6ff'
+    },
+    fees: {
+        label: 'Fees',
+        description: 'Fill fees paid (negative) or rebates earned (positive)',
+        field: 'pnlFees',
+        color: '#d29922'
+    },
+    funding: {
+        label: 'Funding',
+        description: 'Funding paid (negative) or received (positive)',
+        field: 'pnlFunding',
+        color: '#a371f7'
+    },
+    collapse: {
+        label: 'Collapse',
+        description: 'Taker fees of collapses: netting moves the overlap PnL from unrealized to realized, so only its fees change equity',
+        field: 'pnlCollapse',
+        color: '#db61a2'
+    },
+    liquidation: {
+        label: 'Liquidation',
+        description: 'Liquidation penalties',
+        field: 'pnlLiquidation',
+        color: '#f85149'
+    }
+};
+
+/**
+ * PNL_COMPONENTS fields summed over data points
+ */
+function sumAttributionFields(points) {
+    const fields = {};
+    for (const { field } of Object.values(PNL_COMPONENTS)) {
+        fields[field] = points.reduce((total, point) => total + point[field], 0);
+    }
+    return fields;
+}
+
+/**
+ * Default settings of a fresh engine, shared by SimulationEngine and
+ * PortfolioEngine (which hands them on to its legs)
+ */
+function defaultEngineSettings() {
+    return {
+        marketDataSource: DEFAULT_MARKET_DATA_SOURCE,
+        pauseAfterMs: LIVE_FEED_CONFIG.pauseAfterMs,
+        candleSettings: {
+            durationMs: TRADING_CONFIG.candleDurationMs,
+            historyLength: TRADING_CONFIG.candleHistoryLength,
+            timeframes: []
+        },
+        atrLength: TRADING_CONFIG.atrLength,
+        volatilityEstimator: { name: DEFAULT_VOLATILITY_ESTIMATOR, params: {} },
+        quotingStrategy: { name: DEFAULT_QUOTING_STRATEGY, params: {} },
+        collapsePolicy: {
+            name: DEFAULT_COLLAPSE_POLICY,
+            params: getDefaultParams(COLLAPSE_POLICIES[DEFAULT_COLLAPSE_POLICY].params)
+        },
+        ladder: { ...LADDER_CONFIG },
+        orderFlow: { ...ORDER_FLOW_CONFIG },
+        fillModel: { name: DEFAULT_FILL_MODEL, params: getDefaultParams(FILL_MODELS[DEFAULT_FILL_MODEL].params) },
+        priceModel: { name: DEFAULT_PRICE_MODEL, params: {} },
+        funding: { ...FUNDING_CONFIG },
+        liquidation: { ...LIQUIDATION_CONFIG },
+        risk: { ...RISK_CONFIG }
+    };
+}
+
+/**
+ * Main simulation engine coordinating all components
+ */
+class SimulationEngine {
+    /**
+     * historyLimit caps dataHistory (a HistoryStore, which keeps the whole
+     * run by default), tradeLimit caps the trade log (pass Infinity to keep
+     * a full run, as the backtest runner does)
+     * account is passed through to the TradingEngine
+     */
+    constructor({ historyLimit = Infinity, tradeLimit = 100, account } = {}) {
+        this.rng = new SeededRNG();
+        this.clock = new SimulationClock();
+        Object.assign(this, defaultEngineSettings());
+        this.priceSimulator = null;
+        this.livePriceFetcher = createMarketDataSource(this.marketDataSource);
+        this.historicalFeed = null;
+        this.historicalSpeed = 60;  // historical ms per wall-clock ms (Infinity = as fast as possible)
+        this.historicalDtMs = 0;
+        this.tradingEngine = new TradingEngine({ tradeLimit, account });
+        this.tradingEngine.setFees(DEFAULT_FEE_TIER);
+        this.historyLimit = historyLimit;
+        
+        this.mode = 'simulation';  // 'simulation', 'live' or 'historical'
+        this.asset = 'BTC';
+        this.config = ASSET_CONFIGS.BTC;
+        this.isRunning = false;
+        this.intervalId = null;
+        this.tickCount = 0;
+        this.pendingMarkouts = [];  // fills waiting for their markout horizons
+        this.markoutStats = {};     // see addMarkout
+        this.pnlMark = { mid: 0, net: 0, fees: 0, funding: 0, penalties: 0 };  // see settlePnLAttribution
+        this.tickPnL = { spread: 0, inventory: 0, collapse: 0 };
+        this.lastFundingTime = this.clock.now();
+        this.halt = null;           // the kill switch event once tripped
+        this.pulledSides = { bid: false, ask: false };
+        this.outsideNotional = null; // () => gross notional (USD) the rest of the account holds
+        this.sessionStartEquity = TRADING_CONFIG.defaultBalance;
+        this.peakEquity = TRADING_CONFIG.defaultBalance;
+        
+        // Data history for charts and export
+        this.dataHistory = new HistoryStore({ limit: this.historyLimit });
+        
+        // Current state
+        this.currentMid = 0;
+        this.currentQuotes = { bid: 0, ask: 0, baseSpread: 0, actualSpread: 0, skew: 0, imbalance: 0 };
+        this.currentATR = 0;        // the active volatility estimator's value
+        this.currentEstimates = {}; // every estimator's value, by name
+        this.recentTicks = [];      // { time, price } for the realized estimator
+    }
+
+    /**
+     * Initialize with specific asset
+     */
+    setAsset(asset) {
+        this.asset = asset;
+        this.config = ASSET_CONFIGS[asset];
+        this.priceSimulator = new PriceSimulator(asset, this.rng);
+        this.priceSimulator.setPriceModel(this.priceModel.name, this.priceModel.params);
+        this.priceSimulator.setCandleSettings(this.candleSettings);
+        this.livePriceFetcher.reset();
+    }
+
+    /**
+     * Set simulation mode
+     */
+    setMode(mode) {
+        this.mode = mode;
+    }
+
+    /**
+     * Select the live price source (see MARKET_DATA_SOURCES)
+     */
+    setMarketDataSource(name) {
+        const source = createMarketDataSource(name);
+        source.setCandleSettings(this.candleSettings);
+        this.livePriceFetcher.disconnect();
+        this.livePriceFetcher = source;
+        this.marketDataSource = name;
+    }
+
+    /**
+     * Pause live quoting once the last price update is older than ms
+     */
+    setPauseAfter(ms) {
+        this.pauseAfterMs = ms;
+    }
+
+    /**
+     * Load a dataset from parseHistoricalData for historical mode
+     */
+    setHistoricalData(data) {
+        this.historicalFeed = new HistoricalFeed(data, this.candleSettings);
+    }
+
+    /**
+     * Set candle duration, history length and extra timeframes (all ms)
+     * Missing keys keep their current values; changing anything clears
+     * the candles of every price source
+     */
+    setCandleSettings(settings) {
+        const next = { ...this.candleSettings, ...settings };
+        if (JSON.stringify(next) === JSON.stringify(this.candleSettings)) {
+            return;
+        }
+        if (!(next.durationMs > 0) || !(next.historyLength >= 2)) {
+            throw new Error('Candle duration must be positive and history at least 2 candles');
+        }
+        this.candleSettings = { ...next, timeframes: [...next.timeframes] };
+        if (this.priceSimulator) {
+            this.priceSimulator.setCandleSettings(this.candleSettings);
+        }
+        this.livePriceFetcher.setCandleSettings(this.candleSettings);
+        if (this.historicalFeed) {
+            this.historicalFeed.setCandleSettings(this.candleSettings);
+        }
+    }
+
+    /**
+     * Set historical replay speed (historical ms per wall-clock ms)
+     * Infinity replays as fast as possible
+     */
+    setHistoricalSpeed(speed) {
+        this.historicalSpeed = speed;
+    }
+
+    /**
+     * Set RNG seed for reproducibility
+     */
+    setSeed(seed) {
+        this.rng.setSeed(seed);
+        if (this.priceSimulator) {
+            this.priceSimulator.rng = this.rng;
+        }
+    }
+
+    /**
+     * Select fill model; missing params fall back to the model's defaults
+     */
+    setFillModel(name, params = {}) {
+        if (!FILL_MODELS[name]) {
+            throw new Error(`Unknown fill model: ${name}`);
+        }
+        this.fillModel = {
+            name: name,
+            params: { ...getDefaultParams(FILL_MODELS[name].params), ...params }
+        };
+    }
+
+    /**
+     * Select price model for simulation mode (see PRICE_MODELS)
+     */
+    setPriceModel(name, params = {}) {
+        if (!PRICE_MODELS[name]) {
+            throw new Error(`Unknown price model: ${name}`);
+        }
+        this.priceModel = { name, params: { ...getDefaultParams(PRICE_MODELS[name].params), ...params } };
+        if (this.priceSimulator) {
+            this.priceSimulator.setPriceModel(name, this.priceModel.params);
+        }
+    }
+
+    /**
+     * Set fee rates from a FEE_TIERS name or { tier, maker, taker }
+     */
+    setFees(fees) {
+        this.tradingEngine.setFees(fees);
+    }
+
+    /**
+     * Update funding settings (see FUNDING_CONFIG)
+     */
+    setFunding(params) {
+        this.funding = { ...this.funding, ...params };
+    }
+
+    /**
+     * Funding rate in force at a given time (ms)
+     * Fixed unless amplitude > 0, then a sine cycle around the base rate
+     */
+    getFundingRate(timeMs) {
+        const { rate, amplitude, periodMs } = this.funding;
+        if (!amplitude) {
+            return rate;
+        }
+        const elapsed = timeMs - this.clock.startTime;
+        return rate + amplitude * Math.sin(2 * Math.PI * elapsed / periodMs);
+    }
+
+    /**
+     * Update liquidation settings (see LIQUIDATION_CONFIG)
+     */
+    setLiquidation(params) {
+        this.liquidation = { ...this.liquidation, ...params };
+    }
+
+    /**
+     * Set position accounting mode (hedge or netting)
+     */
+    setPositionMode(mode) {
+        this.tradingEngine.setPositionMode(mode);
+    }
+
+    /**
+     * Tick interval for the current mode
+     */
+    getTickIntervalMs() {
+        if (this.mode === 'historical') {
+            return HISTORICAL_FRAME_MS;
+        }
+        return this.mode === 'simulation'
+            ? TRADING_CONFIG.tickIntervalMs
+            : MARKET_DATA_SOURCES[this.marketDataSource].tickIntervalMs;
+    }
+
+    /**
+     * Set ATR calculation length
+     */
+    setATRLength(length) {
+        this.atrLength = Math.max(5, Math.min(50, length));
+    }
+
+    /**
+     * Select the volatility estimator that drives quotes (see VOLATILITY_ESTIMATORS)
+     * Missing params fall back to the estimator's defaults
+     */
+    setVolatilityEstimator(name, params = {}) {
+        if (!VOLATILITY_ESTIMATORS[name]) {
+            throw new Error(`Unknown volatility estimator: ${name}`);
+        }
+        this.volatilityEstimator = {
+            name: name,
+            params: { ...getDefaultParams(VOLATILITY_ESTIMATORS[name].params), ...params }
+        };
+    }
+
+    /**
+     * Select the quoting strategy (see QUOTING_STRATEGIES)
+     * Missing params fall back to the strategy's defaults
+     */
+    setQuotingStrategy(name, params = {}) {
+        if (!QUOTING_STRATEGIES[name]) {
+            throw new Error(`Unknown quoting strategy: ${name}`);
+        }
+        this.quotingStrategy = {
+            name: name,
+            params: { ...getDefaultParams(QUOTING_STRATEGIES[name].params), ...params }
+        };
+    }
+
+    /**
+     * Select when legs are collapsed (see COLLAPSE_POLICIES)
+     * Missing params fall back to the policy's defaults
+     */
+    setCollapsePolicy(name, params = {}) {
+        if (!COLLAPSE_POLICIES[name]) {
+            throw new Error(`Unknown collapse policy: ${name}`);
+        }
+        this.collapsePolicy = {
+            name: name,
+            params: { ...getDefaultParams(COLLAPSE_POLICIES[name].params), ...params }
+        };
+    }
+
+    /**
+     * Update risk limits (see RISK_CONFIG)
+     */
+    setRisk(params) {
+        this.risk = { ...this.risk, ...params };
+    }
+
+    /**
+     * Update quote ladder settings (see LADDER_CONFIG)
+     */
+    setLadder(params) {
+        const ladder = { ...this.ladder, ...params };
+        if (!LADDER_SPACINGS[ladder.spacing]) {
+            throw new Error(`Unknown ladder spacing: ${ladder.spacing}`);
+        }
+        if (!LADDER_SIZE_RULES[ladder.sizeRule]) {
+            throw new Error(`Unknown ladder size rule: ${ladder.sizeRule}`);
+        }
+        ladder.levels = Math.max(1, Math.min(10, Math.floor(ladder.levels) || 1));
+        this.ladder = ladder;
+    }
+
+    /**
+     * Update the informed taker mix and markout horizons (see ORDER_FLOW_CONFIG)
+     */
+    setOrderFlow(params) {
+        const orderFlow = { ...this.orderFlow, ...params };
+        if (!(orderFlow.informedShare >= 0 && orderFlow.informedShare <= 1)) {
+            throw new Error(`Informed share must be between 0 and 1: ${orderFlow.informedShare}`);
+        }
+        orderFlow.informedMove = Math.max(0, orderFlow.informedMove) || 0;
+        orderFlow.markoutHorizons = [...new Set(orderFlow.markoutHorizons.map(Math.floor))]
+            .filter(horizon => horizon > 0)
+            .sort((a, b) => a - b);
+        this.orderFlow = orderFlow;
+    }
+
+    /**
+     * Run every volatility estimator on the current candles and ticks
+     * The active one uses its configured params, the rest their defaults
+     */
+    estimateVolatility() {
+        const input = {
+            candles: this.getCandles(),
+            ticks: this.recentTicks,
+            durationMs: this.candleSettings.durationMs
+        };
+        const estimates = {};
+        for (const [name, estimator] of Object.entries(VOLATILITY_ESTIMATORS)) {
+            const params = name === this.volatilityEstimator.name
+                ? this.volatilityEstimator.params
+                : getDefaultParams(estimator.params);
+            estimates[name] = estimator.estimate(input, this.atrLength, params);
+        }
+        return estimates;
+    }
+
+    /**
+     * Switch to a private copy of the asset config, with optional overrides
+     * Later updateConfig calls then don't leak into the shared ASSET_CONFIGS entry
+     */
+    detachConfig(overrides = {}) {
+        this.config = { ...this.config, ...overrides };
+        if (this.priceSimulator) {
+            this.priceSimulator.config = this.config;
+        }
+    }
+
+    /**
+     * Update asset configuration parameters
+     */
+    updateConfig(params) {
+        if (params.kVol !== undefined) this.config.kVol = params.kVol;
+        if (params.kPos !== undefined) this.config.kPos = params.kPos;
+        if (params.tickSize !== undefined) this.config.tickSize = params.tickSize;
+        if (params.maxPosition !== undefined) this.config.maxPosition = params.maxPosition;
+        if (params.maintenanceMargin !== undefined) this.config.maintenanceMargin = params.maintenanceMargin;
+        if (params.annualVol !== undefined) this.config.annualVol = params.annualVol;
+    }
+
+    /**
+     * Set volatility regime for simulation mode
+     */
+    setVolatilityRegime(regime) {
+        if (this.priceSimulator) {
+            this.priceSimulator.setVolatilityRegime(regime);
+        }
+    }
+
+    /**
+     * Set price drift for simulation mode
+     */
+    setDrift(drift) {
+        if (this.priceSimulator) {
+            this.priceSimulator.setDrift(drift);
+        }
+    }
+
+    /**
+     * Reset entire simulation state
+     * startTime (ms) is where the simulated clock restarts; historical mode
+     * always restarts at the start of its data
+     */
+    reset(initialBalance, startTime = Date.now()) {
+        this.stop();
+        if (this.mode === 'historical' && this.historicalFeed) {
+            startTime = this.historicalFeed.startTime;
+            this.historicalFeed.reset();
+        }
+        this.clock.reset(startTime);
+        this.lastFundingTime = startTime;
+        this.tickCount = 0;
+        this.dataHistory = new HistoryStore({ limit: this.historyLimit });
+        this.currentMid = 0;
+        this.currentATR = 0;
+        this.currentEstimates = {};
+        this.recentTicks = [];
+        this.currentQuotes = { bid: 0, ask: 0, baseSpread: 0, actualSpread: 0, skew: 0, imbalance: 0 };
+        
+        this.tradingEngine.reset(initialBalance);
+        this.rng.reset();
+        this.pendingMarkouts = [];
+        this.markoutStats = {};
+        this.pnlMark = { mid: 0, net: 0, fees: 0, funding: 0, penalties: 0 };
+        this.halt = null;
+        this.pulledSides = { bid: false, ask: false };
+        this.sessionStartEquity = this.tradingEngine.balance;
+        this.peakEquity = this.tradingEngine.balance;
+        
+        if (this.priceSimulator) {
+            this.priceSimulator.reset();
+        }
+        this.livePriceFetcher.reset();
+    }
+
+    /**
+     * Start simulation/live trading
+     */
+    async start() {
+        if (this.isRunning) return;
+        if (this.mode === 'historical' && !this.historicalFeed) {
+            throw new Error('Load a historical data file first');
+        }
+        if (this.halt) {
+            throw new Error(`Kill switch tripped (${this.halt.type}); reset to trade again`);
+        }
+        
+        this.isRunning = true;
+        
+        // Open the feed and fetch an initial price in live mode
+        if (this.mode === 'live') {
+            this.livePriceFetcher.connect(this.config);
+            const price = await this.livePriceFetcher.fetchPrice(this.config);
+            if (price) {
+                this.currentMid = price;
+            }
+        }
+
+        // Historical replay paces itself from where the data left off
+        this.historicalCursor = this.clock.now();
+
+        // Main loop
+        this.intervalId = setInterval(() => this.tick(), this.getTickIntervalMs());
+        
+        // Run first tick immediately
+        this.tick();
+    }
+
+    /**
+     * Stop simulation
+     */
+    stop() {
+        this.isRunning = false;
+        if (this.intervalId) {
+            clearInterval(this.intervalId);
+            this.intervalId = null;
+        }
+        this.livePriceFetcher.disconnect();
+    }
+
+    /**
+     * Main tick function - called every interval
+     */
+    async tick() {
+        if (!this.isRunning) return;
+
+        if (this.mode === 'simulation') {
+            this.step();
+            return;
+        }
+
+        if (this.mode === 'historical') {
+            this.replayHistoricalFrame();
+            return;
+        }
+
+        // 1. Get current price
+        const price = await this.livePriceFetcher.fetchPrice(this.config);
+        if (price) {
+            this.currentMid = price;
+        }
+
+        // Quoting and fills pause until a fresh price arrives
+        const health = this.getFeedHealth();
+        if (this.onFeedHealth) {
+            this.onFeedHealth(health);
+        }
+        if (health.paused) {
+            return;
+        }
+
+        this.tickCount++;
+        this.processTick(new Date());
+    }
+
+    /**
+     * Live feed status plus the age of the last price update (ms)
+     * paused is set while that age exceeds pauseAfterMs
+     */
+    getFeedHealth() {
+        const status = this.livePriceFetcher.getStatus();
+        const age = status.lastUpdateTime > 0 ? Date.now() - status.lastUpdateTime : Infinity;
+        return { ...status, age: age, paused: age > this.pauseAfterMs };
+    }
+
+    /**
+     * Advance simulation mode by one tick synchronously
+     * Time comes from the simulated clock, so no timers are needed
+     */
+    step() {
+        // A tripped kill switch ends the run like exhausted data does
+        if (this.halt) {
+            return null;
+        }
+        if (this.mode === 'historical') {
+            return this.stepHistorical();
+        }
+
+        this.tickCount++;
+        const now = this.clock.advance(TRADING_CONFIG.tickIntervalMs);
+        const timestamp = new Date(now);
+
+        // 1. Generate next price
+        this.currentMid = this.priceSimulator.generateTick(TRADING_CONFIG.tickIntervalMs / 1000 / 86400, now);
+
+        return this.processTick(timestamp);
+    }
+
+    /**
+     * Advance historical mode by one price from the loaded data
+     * The clock follows the data's timestamps
+     * Returns null once the data is exhausted
+     */
+    stepHistorical() {
+        const tick = this.historicalFeed.next();
+        if (!tick) {
+            return null;
+        }
+
+        this.tickCount++;
+        this.historicalDtMs = tick.time - this.clock.now();
+        this.clock.advance(this.historicalDtMs);
+        this.currentMid = tick.price;
+
+        return this.processTick(new Date(tick.time));
+    }
+
+    /**
+     * Replay the data due in one frame at the current speed
+     * Each frame moves historical time forward by speed × frame length;
+     * work per frame is capped so the page stays responsive
+     */
+    replayHistoricalFrame() {
+        const deadline = Date.now() + HISTORICAL_FRAME_MS / 2;
+        this.historicalCursor += HISTORICAL_FRAME_MS * this.historicalSpeed;
+
+        while (this.historicalFeed.hasNext()
+            && this.historicalFeed.peekTime() <= this.historicalCursor
+            && Date.now() < deadline
+            && !this.halt) {
+            this.stepHistorical();
+        }
+
+        if (!this.historicalFeed.hasNext() && !this.halt) {
+            this.stop();
+            if (this.onHistoricalEnd) {
+                this.onHistoricalEnd();
+            }
+        }
+    }
+
+    /**
+     * Candles from the current price source: the ATR timeframe by default,
+     * or one of candleSettings.timeframes
+     */
+    getCandles(durationMs) {
+        if (this.mode === 'historical') {
+            return this.historicalFeed.getCandles(durationMs);
+        }
+        return this.mode === 'simulation'
+            ? this.priceSimulator.getCandles(durationMs)
+            : this.livePriceFetcher.getCandles(durationMs);
+    }
+
+    /**
+     * Run quoting, fills and bookkeeping for the current mid price, then
+     * record the tick
+     * Shared by simulation and live ticks
+     */
+    processTick(timestamp) {
+        this.quoteTick(timestamp);
+
+        // 6. Calculate metrics
+        const unrealizedPnL = this.tradingEngine.calculateUnrealizedPnL(this.currentMid);
+        const equity = this.tradingEngine.calculateEquity(this.currentMid);
+        this.peakEquity = Math.max(this.peakEquity, equity);
+        const attribution = this.settlePnLAttribution();
+
+        // 7. Record data point
+        const dataPoint = {
+            timestamp: timestamp.toISOString(),
+            tick: this.tickCount,
+            ...this.getMarketFields(),
+            balance: this.tradingEngine.balance,
+            equity: equity,
+            unrealizedPnL: unrealizedPnL,
+            realizedPnL: this.tradingEngine.realizedPnL,
+            fees: this.tradingEngine.feesPaid,
+            funding: this.tradingEngine.fundingPaid,
+            ...attribution,
+            longSize: this.tradingEngine.longPosition.size,
+            shortSize: this.tradingEngine.shortPosition.size
+        };
+
+        this.dataHistory.push(dataPoint);
+
+        // 8. Trigger UI update callback
+        if (this.onTick) {
+            this.onTick(dataPoint);
+        }
+
+        // 9. Kill switch on session loss or drawdown
+        const breach = checkKillSwitch(this.risk, equity, this.sessionStartEquity, this.peakEquity);
+        if (breach && !this.halt) {
+            this.tripKillSwitch(breach, timestamp);
+        }
+
+        return dataPoint;
+    }
+
+    /**
+     * Quote the current mid and simulate this tick's fills, with markouts,
+     * liquidation, collapse and funding on the way
+     * A portfolio runs this on each leg and records the tick itself
+     */
+    quoteTick(timestamp) {
+        // 1b. Mark out earlier fills against this tick's mid
+        this.updateMarkouts();
+
+        // 1c. Start this tick's PnL attribution with the held inventory's revaluation
+        this.tickPnL = {
+            spread: 0,
+            inventory: this.pnlMark.net * (this.currentMid - this.pnlMark.mid),
+            collapse: 0
+        };
+
+        // 2. Estimate volatility from candles (and recent ticks)
+        this.recentTicks.push({ time: timestamp.getTime(), price: this.currentMid });
+        const tickWindowMs = (this.atrLength + 1) * this.candleSettings.durationMs;
+        while (this.recentTicks[0].time < timestamp.getTime() - tickWindowMs) {
+            this.recentTicks.shift();
+        }
+        this.currentEstimates = this.estimateVolatility();
+        this.currentATR = this.currentEstimates[this.volatilityEstimator.name];
+
+        // 2b. Liquidation check against mark price
+        if (this.liquidation.enabled
+            && this.tradingEngine.shouldLiquidate(this.currentMid, this.config.maintenanceMargin)) {
+            const liquidation = this.tradingEngine.executeLiquidation(
+                this.currentMid, this.config.maintenanceMargin, this.liquidation, timestamp
+            );
+            if (this.onLiquidation) {
+                this.onLiquidation(liquidation);
+            }
+            // Stop rather than quote dust once the account can't margin an order
+            const equity = this.tradingEngine.calculateEquity(this.currentMid);
+            const minimum = this.tradingEngine.getMinimumMargin();
+            if (equity < minimum) {
+                this.tripKillSwitch({ type: 'WIPED_OUT', value: equity, limit: minimum }, timestamp);
+            }
+        }
+        if (this.halt) {
+            return;
+        }
+
+        // 3. Net legs when the collapse policy says so
+        const collapseFraction = this.tradingEngine.getCollapseFraction(this.collapsePolicy, this.currentMid);
+        if (collapseFraction > 0) {
+            const collapse = this.tradingEngine.executeCollapse(timestamp, this.currentMid, collapseFraction);
+            if (collapse) {
+                this.tickPnL.collapse -= collapse.fee;
+            }
+            if (collapse && this.onCollapse) {
+                this.onCollapse(collapse);
+            }
+        }
+
+        // 3b. Charge funding when an interval has passed
+        if (timestamp.getTime() - this.lastFundingTime >= this.funding.intervalMs) {
+            this.lastFundingTime += this.funding.intervalMs;
+            this.tradingEngine.applyFunding(this.currentMid, this.getFundingRate(this.lastFundingTime), timestamp);
+        }
+
+        // 4. Calculate quotes with the active strategy, then the ladder behind them
+        const quoteContext = {
+            mid: this.currentMid,
+            volatility: this.currentATR,
+            longSize: this.tradingEngine.longPosition.size,
+            shortSize: this.tradingEngine.shortPosition.size,
+            orderSize: this.tradingEngine.calculateOrderSize(this.currentMid),
+            config: this.config
+        };
+        this.currentQuotes = QUOTING_STRATEGIES[this.quotingStrategy.name].quote(quoteContext, this.quotingStrategy.params);
+        this.currentQuotes.ladder = buildQuoteLadder(this.currentQuotes, quoteContext, this.ladder);
+        this.updatePulledSides(timestamp);
+
+        // 5. Simulate market activity (random fills)
+        this.simulateMarketActivity(timestamp);
+    }
+
+    /**
+     * Room left under the net and gross limits for a fill on side
+     * ('LONG' buys, 'SHORT' sells) at price
+     * Returns { size, type, value, limit } for the tighter limit
+     * (size Infinity when risk limits are off)
+     */
+    getRiskRoom(side, price) {
+        if (!this.risk.enabled) {
+            return { size: Infinity, type: null, value: 0, limit: 0 };
+        }
+
+        const { longPosition, shortPosition, positionMode } = this.tradingEngine;
+        const net = longPosition.size - shortPosition.size;
+        const direction = side === 'LONG' ? 1 : -1;
+
+        // |net + direction × size| must stay within the limit
+        const maxNet = this.risk.maxNetPosition || this.config.maxPosition;
+        let room = { size: maxNet - direction * net, type: 'NET_LIMIT', value: Math.abs(net), limit: maxNet };
+
+        if (this.risk.maxGrossNotional > 0) {
+            // The limit covers the whole account, so other portfolio legs use up part of it
+            const outside = this.outsideNotional ? this.outsideNotional() : 0;
+            // Hedge mode always opens a leg; netting first closes the other side
+            const grossSize = positionMode === 'netting' ? Math.abs(net) : longPosition.size + shortPosition.size;
+            const maxGrossSize = (this.risk.maxGrossNotional - outside) / price;
+            const size = positionMode === 'netting' ? maxGrossSize - direction * net : maxGrossSize - grossSize;
+            if (size < room.size) {
+                room = { size, type: 'GROSS_LIMIT', value: grossSize * price + outside, limit: this.risk.maxGrossNotional };
+            }
+        }
+
+        return { ...room, size: Math.max(0, room.size) };
+    }
+
+    /**
+     * Pull each quote side with no room left under the risk limits,
+     * logging a side when it is first pulled
+     */
+    updatePulledSides(timestamp) {
+        for (const [quote, side] of [['bid', 'LONG'], ['ask', 'SHORT']]) {
+            const room = this.getRiskRoom(side, this.currentQuotes[quote]);
+            const pulled = room.size <= 0;
+            if (pulled && !this.pulledSides[quote]) {
+                const { size, ...breach } = room;
+                this.emitRiskEvent(this.tradingEngine.recordRiskEvent(
+                    { ...breach, action: 'PULL', side: quote.toUpperCase() }, timestamp
+                ));
+            }
+            this.pulledSides[quote] = pulled;
+        }
+        this.currentQuotes.pulled = { ...this.pulledSides };
+    }
+
+    /**
+     * Stop the engine for good (until reset) and log why
+     */
+    tripKillSwitch(breach, timestamp) {
+        haltEngine(this, this.tradingEngine.recordRiskEvent({ ...breach, action: 'KILL' }, timestamp));
+    }
+
+    /**
+     * Pass a risk event to the UI
+     */
+    emitRiskEvent(event) {
+        if (this.onRiskEvent) {
+            this.onRiskEvent(event);
+        }
+    }
+
+    /**
+     * Prices of ladder levels beyond the first (bid2, ask2, ...)
+     * Empty with a single level, so one-level points keep their old shape
+     */
+    getLadderFields() {
+        const fields = {};
+        const { bids, asks } = this.currentQuotes.ladder;
+        for (let i = 1; i < bids.length; i++) {
+            fields[`bid${i + 1}`] = bids[i].price;
+            fields[`ask${i + 1}`] = asks[i].price;
+        }
+        return fields;
+    }
+
+    /**
+     * PnL since the previous tick by source, keyed by data point field
+     * (see PNL_COMPONENTS), then mark the books for the next tick
+     * Fees, funding and penalties are the account's changes since the mark,
+     * which also catches a portfolio liquidation run before this leg's tick
+     */
+    settlePnLAttribution() {
+        const engine = this.tradingEngine;
+        const mark = this.pnlMark;
+        const pnl = {
+            ...this.tickPnL,
+            // Collapse fees belong to the collapse component
+            fees: mark.fees - engine.feesPaid - this.tickPnL.collapse,
+            funding: mark.funding - engine.fundingPaid,
+            liquidation: mark.penalties - engine.penaltiesPaid
+        };
+
+        this.pnlMark = {
+            mid: this.currentMid,
+            net: engine.longPosition.size - engine.shortPosition.size,
+            fees: engine.feesPaid,
+            funding: engine.fundingPaid,
+            penalties: engine.penaltiesPaid
+        };
+
+        const fields = {};
+        for (const [name, component] of Object.entries(PNL_COMPONENTS)) {
+            fields[component.field] = pnl[name];
+        }
+        return fields;
+    }
+
+    /**
+     * Current estimates keyed by their data point fields (volAtr, volEwma, ...)
+     */
+    getEstimateFields() {
+        const fields = {};
+        for (const [name, estimator] of Object.entries(VOLATILITY_ESTIMATORS)) {
+            fields[estimator.field] = this.currentEstimates[name];
+        }
+        return fields;
+    }
+
+    /**
+     * Mid, quotes and volatility of the current tick, as data point fields
+     */
+    getMarketFields() {
+        return {
+            mid: this.currentMid,
+            bid: this.currentQuotes.bid,
+            ask: this.currentQuotes.ask,
+            ...this.getLadderFields(),
+            spread: this.currentQuotes.actualSpread,
+            baseSpread: this.currentQuotes.baseSpread,
+            skew: this.currentQuotes.skew,
+            imbalance: this.currentQuotes.imbalance,
+            atr: this.currentATR,
+            ...this.getEstimateFields(),
+            volatility: this.mode === 'simulation' ? this.priceSimulator.currentVolatility : 0
+        };
+    }
+
+    /**
+     * Record the markouts of fills that reached a horizon this tick
+     * markout = (mid − fill price) × size for a buy, the reverse for a sell
+     */
+    updateMarkouts() {
+        const horizons = this.orderFlow.markoutHorizons;
+        const lastHorizon = horizons[horizons.length - 1] || 0;
+
+        this.pendingMarkouts = this.pendingMarkouts.filter(fill => {
+            const age = this.tickCount - fill.tick;
+            if (horizons.includes(age)) {
+                for (const trade of fill.trades) {
+                    const direction = trade.side === 'LONG' ? 1 : -1;
+                    const markout = direction * (this.currentMid - trade.price) * trade.size;
+                    trade.markouts = { ...trade.markouts, [age]: markout };
+                    addMarkout(this.markoutStats, age, markout, fill.informed);
+                }
+            }
+            return age < lastHorizon;
+        });
+    }
+
+    /**
+     * Average markouts per horizon (see summarizeMarkouts)
+     */
+    getMarkoutSummary() {
+        return summarizeMarkouts(this.markoutStats, this.orderFlow.markoutHorizons);
+    }
+
+    /**
+     * Simulate market activity against our quotes
+     * The active fill model decides which sides get hit and how much;
+     * informed takers then push the simulated price against the fill
+     */
+    simulateMarketActivity(timestamp) {
+        const model = FILL_MODELS[this.fillModel.name];
+        const fills = model.generateFills({
+            mid: this.currentMid,
+            bid: this.currentQuotes.bid,
+            ask: this.currentQuotes.ask,
+            atr: this.currentATR,
+            tickSize: this.config.tickSize,
+            dtSeconds: (this.mode === 'historical' ? this.historicalDtMs : this.getTickIntervalMs()) / 1000
+        }, this.fillModel.params, this.rng);
+
+        for (const fill of fills) {
+            // Market buy hits our asks → we sell → enter short
+            // Market sell hits our bids → we buy → enter long
+            const side = fill.side === 'ask' ? 'SHORT' : 'LONG';
+            const levels = fill.side === 'ask' ? this.currentQuotes.ladder.asks : this.currentQuotes.ladder.bids;
+            // No draw without informed flow, so such runs keep their old sequence
+            const informed = this.orderFlow.informedShare > 0 && this.rng.random() < this.orderFlow.informedShare;
+
+            // Each level taken in full lets the order walk on to the next
+            let depth = 0;
+            while (depth < levels.length - 1 && this.rng.random() < this.ladder.walkProbability) {
+                depth++;
+            }
+            for (let i = 0; i <= depth; i++) {
+                const fraction = i < depth ? 1 : fill.fraction;
+                this.fillQuote(side, levels[i].price, fraction * levels[i].size, timestamp, informed);
+            }
+
+            // Bought from an informed seller → price falls next tick (and vice versa)
+            if (informed && this.mode === 'simulation') {
+                const move = this.orderFlow.informedMove * Math.max(this.currentATR, this.config.tickSize);
+                this.priceSimulator.queueMove(side === 'LONG' ? -move : move);
+            }
+        }
+    }
+
+    /**
+     * Fill one of our quotes for a number of orders: the ladder level's
+     * size in orders times the part of the level taken
+     * Trades are tagged with the mid, tick and taker type (for
+     * analyzeTrades) and queued for markouts
+     */
+    fillQuote(side, price, orders, timestamp, informed = false) {
+        // Cut to what the risk limits still allow
+        const size = Math.min(this.tradingEngine.calculateOrderSize(price) * orders, this.getRiskRoom(side, price).size);
+        if (size <= 0) {
+            return [];
+        }
+
+        const trades = this.tradingEngine.executeFill(side, price, size, timestamp);
+        trades.forEach(trade => {
+            trade.mid = this.currentMid;
+            trade.tick = this.tickCount;
+            trade.informed = informed;
+            this.tickPnL.spread += (trade.side === 'LONG' ? 1 : -1) * (this.currentMid - trade.price) * trade.size;
+        });
+        if (trades.length > 0 && this.orderFlow.markoutHorizons.length > 0) {
+            this.pendingMarkouts.push({ tick: this.tickCount, informed: informed, trades: trades });
+        }
+
+        if (this.onTrade) {
+            trades.forEach(trade => this.onTrade(trade));
+        }
+
+        return trades;
+    }
+
+    /**
+     * Event log by name: trades, collapses, fundingPayments, liquidations
+     * or riskEvents, newest first
+     */
+    getLog(name) {
+        return [...this.tradingEngine[name]].reverse();
+    }
+
+    /**
+     * Event log by name, oldest first, without copying it
+     * The engine's own array: read it, don't change it
+     */
+    getLogEntries(name) {
+        return this.tradingEngine[name];
+    }
+
+    /**
+     * Number of entries in an event log, without copying it
+     */
+    getLogCount(name) {
+        return this.tradingEngine[name].length;
+    }
+
+    /**
+     * Account and position summary
+     */
+    getState() {
+        return this.tradingEngine.getState();
+    }
+
+    /**
+     * Everything needed to regenerate this run deterministically
+     */
+    getManifest() {
+        return {
+            version: RUN_MANIFEST_VERSION,
+            asset: this.asset,
+            mode: this.mode,
+            seed: this.rng.seed,
+            volatilityRegime: this.priceSimulator ? this.priceSimulator.volatilityRegime : 'medium',
+            drift: this.priceSimulator ? this.priceSimulator.drift : 0,
+            priceModel: { name: this.priceModel.name, params: { ...this.priceModel.params } },
+            atrLength: this.atrLength,
+            volatilityEstimator: { name: this.volatilityEstimator.name, params: { ...this.volatilityEstimator.params } },
+            quotingStrategy: { name: this.quotingStrategy.name, params: { ...this.quotingStrategy.params } },
+            collapsePolicy: { name: this.collapsePolicy.name, params: { ...this.collapsePolicy.params } },
+            ladder: { ...this.ladder },
+            orderFlow: { ...this.orderFlow, markoutHorizons: [...this.orderFlow.markoutHorizons] },
+            candles: { ...this.candleSettings, timeframes: [...this.candleSettings.timeframes] },
+            fillModel: { name: this.fillModel.name, params: { ...this.fillModel.params } },
+            positionMode: this.tradingEngine.positionMode,
+            fees: { ...this.tradingEngine.fees },
+            funding: { ...this.funding },
+            liquidation: { ...this.liquidation },
+            risk: { ...this.risk },
+            initialBalance: this.tradingEngine.initialBalance,
+            startTime: this.clock.startTime,
+            ticks: this.tickCount,
+            config: { ...this.config },
+            tradingConfig: { ...TRADING_CONFIG },
+            historicalData: this.mode === 'historical' && this.historicalFeed
+                ? this.historicalFeed.describe()
+                : undefined,
+            marketDataSource: this.mode === 'live' ? this.marketDataSource : undefined
+        };
+    }
+
+    /**
+     * Build a fresh simulation-mode engine from a run manifest
+     * Keeps full history by default so a replay can be compared tick by tick
+     */
+    static fromManifest(manifest, options = { historyLimit: Infinity, tradeLimit: Infinity }) {
+        const engine = new SimulationEngine(options);
+
+        // Manifests without a price model predate them: plain GBM
+        const priceModel = manifest.priceModel || { name: 'gbm' };
+        engine.setPriceModel(priceModel.name, priceModel.params);
+        // Manifests without candle settings used TRADING_CONFIG's
+        if (manifest.candles) {
+            engine.setCandleSettings(manifest.candles);
+        }
+        engine.setAsset(manifest.asset);
+        engine.detachConfig(manifest.config);
+        engine.setMode('simulation');
+        engine.setSeed(manifest.seed);
+        engine.setATRLength(manifest.atrLength);
+        // Manifests without an estimator predate them: SMA ATR
+        const estimator = manifest.volatilityEstimator || { name: 'atr' };
+        engine.setVolatilityEstimator(estimator.name, estimator.params);
+        const strategy = manifest.quotingStrategy || { name: 'atrSkew' };
+        engine.setQuotingStrategy(strategy.name, strategy.params);
+        // Manifests without a collapse policy used the fixed low-balance rule
+        const collapsePolicy = manifest.collapsePolicy || { name: 'lowBalance' };
+        engine.setCollapsePolicy(collapsePolicy.name, collapsePolicy.params);
+        // Manifests without a ladder quoted one level
+        engine.setLadder(manifest.ladder || { levels: 1 });
+        // ...and had no informed flow
+        engine.setOrderFlow(manifest.orderFlow || { informedShare: 0 });
+        // Version 1 manifests predate fill models and always used the coin flip
+        const fillModel = manifest.fillModel || { name: 'coinflip' };
+        engine.setFillModel(fillModel.name, fillModel.params);
+        engine.setPositionMode(manifest.positionMode || 'hedge');
+        // Manifests without fee/funding settings predate them: no charges
+        engine.setFees(manifest.fees || 'none');
+        engine.setFunding(manifest.funding || { rate: 0, amplitude: 0 });
+        engine.setLiquidation(manifest.liquidation || { enabled: false });
+        // Manifests without risk limits predate them: nothing enforced
+        engine.setRisk(manifest.risk || { enabled: false });
+        engine.reset(manifest.initialBalance, manifest.startTime);
+        engine.setVolatilityRegime(manifest.volatilityRegime);
+        engine.setDrift(manifest.drift);
+
+        return engine;
+    }
+
+    /**
+     * Export data as CSV
+     */
+    exportCSV() {
+        if (this.dataHistory.length === 0) {
+            return null;
+        }
+
+        const headers = Object.keys(this.dataHistory.at(0));
+        const rows = [];
+        for (const row of this.dataHistory) {
+            rows.push(headers.map(h => {
+                const val = row[h];
+                return typeof val === 'number' ? val.toFixed(8) : val;
+            }).join(','));
+        }
+
+        return [headers.join(','), ...rows].join('\n');
+    }
+
+    /**
+     * Export data as JSON
+     */
+    exportJSON() {
+        return JSON.stringify({
+            timestamp: new Date().toISOString(),
+            asset: this.asset,
+            mode: this.mode,
+            manifest: this.getManifest(),
+            config: this.config,
+            trades: this.getLog('trades'),
+            collapses: this.getLog('collapses'),
+            fundingPayments: this.getLog('fundingPayments'),
+            liquidations: this.getLog('liquidations'),
+            riskEvents: this.getLog('riskEvents'),
+            markouts: this.getMarkoutSummary(),
+            history: this.dataHistory,
+            finalState: this.tradingEngine.getState()
+        }, null, 2);
+    }
+
+    // Callbacks (to be set by UI controller)
+    onTick = null;
+    onTrade = null;
+    onCollapse = null;
+    onLiquidation = null;
+    onRiskEvent = null;
+    onHalt = null;
+}
+
+
+// ===========================================
+// 13. PORTFOLIO ENGINE MODULE
+// ===========================================
+
+/**
+ * Leg fields that stay portfolio totals when a point is focused on one
+ * asset (see PortfolioEngine.focusPoint)
+ */
+const PORTFOLIO_ACCOUNT_FIELDS = [
+    'margin', 'unrealizedPnL', 'realizedPnL', 'fees', 'funding',
+    ...Object.values(PNL_COMPONENTS).map(component => component.field)
+];
+
+/**
+ * Settings a portfolio hands to every leg, keyed by the leg setter, in the
+ * order a new leg takes them
+ * field is where the portfolio keeps the value; named settings are
+ * { name, params } and their setters take the two apart. readBack copies
+ * the value from the focus leg after setting it, so the portfolio keeps
+ * it with the leg's defaults and clamping applied. beforeAsset settings
+ * are in place before setAsset builds the price simulator
+ * Liquidation and risk are not here: the portfolio judges them on the
+ * whole account
+ */
+const LEG_SETTINGS = {
+    setPriceModel: { field: 'priceModel', named: true, readBack: true, beforeAsset: true },
+    setCandleSettings: { field: 'candleSettings', readBack: true, beforeAsset: true },
+    setMarketDataSource: { field: 'marketDataSource', beforeAsset: true },
+    setPauseAfter: { field: 'pauseAfterMs', beforeAsset: true },
+    setATRLength: { field: 'atrLength', readBack: true },
+    setVolatilityEstimator: { field: 'volatilityEstimator', named: true, readBack: true },
+    setQuotingStrategy: { field: 'quotingStrategy', named: true, readBack: true },
+    setCollapsePolicy: { field: 'collapsePolicy', named: true, readBack: true },
+    setLadder: { field: 'ladder', readBack: true },
+    setOrderFlow: { field: 'orderFlow', readBack: true },
+    setFillModel: { field: 'fillModel', named: true, readBack: true },
+    setPositionMode: { field: 'positionMode' },
+    setFees: { field: 'fees' },
+    setFunding: { field: 'funding', readBack: true },
+    setVolatilityRegime: { field: 'volatilityRegime' },
+    setDrift: { field: 'drift' }
+};
+
+/**
+ * Multi-asset engine quoting several assets at once
+ *
+ * Each asset is a SimulationEngine "leg" with its own price simulator,
+ * candles, ATR, quotes and positions. Legs share one clock, one RNG and
+ * one cross-margin account: margin locked by one asset's inventory is
+ * cash another asset can't quote with. Liquidation is checked once per
+ * tick against portfolio equity instead of per leg. Simulated price
+ * moves are correlated across legs (see CorrelatedShocks).
+ *
+ * `asset` is the focus leg; config, quotes and tradingEngine refer to it
+ * so single-asset panels can show one leg at a time.
+ */
+class PortfolioEngine {
+    constructor({ historyLimit = Infinity, tradeLimit = 100 } = {}) {
+        this.rng = new SeededRNG();
+        this.clock = new SimulationClock();
+        this.account = { balance: TRADING_CONFIG.defaultBalance };
+        this.historyLimit = historyLimit;
+        this.tradeLimit = tradeLimit;
+
+        this.mode = 'simulation';
+        this.isRunning = false;
+        this.intervalId = null;
+        this.tickCount = 0;
+        this.initialBalance = TRADING_CONFIG.defaultBalance;
+
+        // Settings every leg shares (new legs pick them up too, see LEG_SETTINGS)
+        Object.assign(this, defaultEngineSettings());
+        this.volatilityRegime = 'medium';
+        this.drift = 0;
+        this.positionMode = 'hedge';
+        this.fees = DEFAULT_FEE_TIER;
+        this.halt = null;           // the kill switch event once tripped
+        this.riskEvents = [];       // account-wide events (per-leg ones stay on the legs)
+        this.peakEquity = TRADING_CONFIG.defaultBalance;
+        this.correlations = { ...DEFAULT_CORRELATIONS };
+
+        this.assets = [];
+        this.legs = {};
+        this.asset = null;
+        this.shocks = null;
+        this.setAssets(Object.keys(ASSET_CONFIGS));
+
+        this.dataHistory = new HistoryStore({ limit: this.historyLimit });
+    }
+
+    /**
+     * Choose the assets to quote, in order
+     * Existing legs are kept; call reset() afterwards to start them together
+     */
+    setAssets(assets) {
+        if (assets.length === 0) {
+            throw new Error('A portfolio needs at least one asset');
+        }
+        // Throws before anything changes if the correlations don't fit these assets
+        const shocks = new CorrelatedShocks(assets, this.correlations);
+
+        const legs = {};
+        for (const asset of assets) {
+            if (!ASSET_CONFIGS[asset]) {
+                throw new Error(`Unknown asset: ${asset}`);
+            }
+            legs[asset] = this.legs[asset] || this.createLeg(asset);
+        }
+
+        this.assets = [...assets];
+        this.legs = legs;
+        this.shocks = shocks;
+        if (!this.legs[this.asset]) {
+            this.asset = this.assets[0];
+        }
+    }
+
+    /**
+     * Build a leg wired to the shared clock, RNG and account
+     */
+    createLeg(asset) {
+        // Legs only quote (see quoteTick); the portfolio records every tick
+        const leg = new SimulationEngine({ historyLimit: 0, tradeLimit: this.tradeLimit, account: this.account });
+        leg.clock = this.clock;
+        leg.rng = this.rng;
+
+        const applySettings = (beforeAsset) => {
+            for (const [setter, setting] of Object.entries(LEG_SETTINGS)) {
+                if (!setting.beforeAsset === !beforeAsset) {
+                    const value = this[setting.field];
+                    setting.named ? leg[setter](value.name, value.params) : leg[setter](value);
+                }
+            }
+        };
+        applySettings(true);
+        leg.setAsset(asset);
+        leg.detachConfig();
+        leg.setMode(this.mode);
+        applySettings(false);
+        leg.setRisk(PortfolioEngine.legRisk(this.risk));
+        // Checked across the whole account in checkLiquidation instead
+        leg.setLiquidation({ enabled: false });
+
+        // Forward leg events tagged with their asset
+        leg.onTrade = (trade) => {
+            if (this.onTrade) {
+                this.onTrade({ asset, ...trade });
+            }
+        };
+        leg.onCollapse = (collapse) => {
+            if (this.onCollapse) {
+                this.onCollapse({ asset, ...collapse });
+            }
+        };
+        leg.outsideNotional = () => this.calculateGrossNotional(leg);
+        leg.onRiskEvent = (event) => {
+            if (this.onRiskEvent) {
+                this.onRiskEvent({ asset, ...event });
+            }
+        };
+
+        return leg;
+    }
+
+    /**
+     * A leg enforces the net limit on its own position and the gross limit
+     * together with the other legs; session loss and drawdown are judged on
+     * the whole account instead
+     */
+    static legRisk(risk) {
+        return { ...risk, maxSessionLoss: 0, maxDrawdown: 0 };
+    }
+
+    /**
+     * Call a LEG_SETTINGS setter on every leg and keep the value for new legs
+     */
+    setOnLegs(setter, ...args) {
+        const { field, readBack } = LEG_SETTINGS[setter];
+        this.getLegs().forEach(leg => leg[setter](...args));
+        const value = readBack ? this.legs[this.asset][field] : args[0];
+        this[field] = value && typeof value === 'object' ? { ...value } : value;
+    }
+
+    /**
+     * Legs in portfolio order
+     */
+    getLegs() {
+        return this.assets.map(asset => this.legs[asset]);
+    }
+
+    /**
+     * Set the focus asset (must be in the portfolio)
+     */
+    setAsset(asset) {
+        if (!this.legs[asset]) {
+            throw new Error(`${asset} is not in the portfolio`);
+        }
+        this.asset = asset;
+    }
+
+    get config() {
+        return this.legs[this.asset].config;
+    }
+
+    get currentMid() {
+        return this.legs[this.asset].currentMid;
+    }
+
+    get currentQuotes() {
+        return this.legs[this.asset].currentQuotes;
+    }
+
+    get currentATR() {
+        return this.legs[this.asset].currentATR;
+    }
+
+    get tradingEngine() {
+        return this.legs[this.asset].tradingEngine;
+    }
+
+    /**
+     * Set simulation mode
+     */
+    setMode(mode) {
+        if (mode === 'historical') {
+            throw new Error('Historical data replays a single asset; turn off portfolio mode');
+        }
+        this.mode = mode;
+        this.getLegs().forEach(leg => leg.setMode(mode));
+    }
+
+    /**
+     * Set RNG seed for reproducibility (the RNG is shared by all legs)
+     */
+    setSeed(seed) {
+        this.rng.setSeed(seed);
+    }
+
+    /**
+     * Select fill model for every leg
+     */
+    setFillModel(name, params = {}) {
+        this.setOnLegs('setFillModel', name, params);
+    }
+
+    /**
+     * Set fee rates for every leg
+     */
+    setFees(fees) {
+        this.setOnLegs('setFees', fees);
+    }
+
+    /**
+     * Update funding settings for every leg
+     */
+    setFunding(params) {
+        this.setOnLegs('setFunding', params);
+    }
+
+    /**
+     * Set pairwise return correlations ({ 'BTC-ETH': 0.85, ... })
+     * Pairs not given are uncorrelated; throws if they are inconsistent
+     */
+    setCorrelations(correlations) {
+        this.shocks = new CorrelatedShocks(this.assets, correlations);
+        this.correlations = { ...correlations };
+    }
+
+    /**
+     * Update cross-margin liquidation settings
+     */
+    setLiquidation(params) {
+        this.liquidation = { ...this.liquidation, ...params };
+    }
+
+    /**
+     * Update risk limits; legs enforce the position limits
+     */
+    setRisk(params) {
+        this.risk = { ...this.risk, ...params };
+        this.getLegs().forEach(leg => leg.setRisk(PortfolioEngine.legRisk(this.risk)));
+    }
+
+    /**
+     * Set position accounting mode for every leg
+     */
+    setPositionMode(mode) {
+        this.setOnLegs('setPositionMode', mode);
+    }
+
+    /**
+     * Set ATR calculation length for every leg
+     */
+    setATRLength(length) {
+        this.setOnLegs('setATRLength', length);
+    }
+
+    /**
+     * Select the volatility estimator for every leg
+     */
+    setVolatilityEstimator(name, params = {}) {
+        this.setOnLegs('setVolatilityEstimator', name, params);
+    }
+
+    /**
+     * Select the quoting strategy for every leg
+     */
+    setQuotingStrategy(name, params = {}) {
+        this.setOnLegs('setQuotingStrategy', name, params);
+    }
+
+    /**
+     * Select the collapse policy of every asset
+     */
+    setCollapsePolicy(name, params = {}) {
+        this.setOnLegs('setCollapsePolicy', name, params);
+    }
+
+    /**
+     * Update quote ladder settings for every leg
+     */
+    setLadder(params) {
+        this.setOnLegs('setLadder', params);
+    }
+
+    /**
+     * Set the informed taker mix and markout horizons for every leg
+     */
+    setOrderFlow(params) {
+        this.setOnLegs('setOrderFlow', params);
+    }
+
+    /**
+     * Markouts of every leg's fills taken together
+     */
+    getMarkoutSummary() {
+        const stats = {};
+        for (const leg of this.getLegs()) {
+            for (const [horizon, entry] of Object.entries(leg.markoutStats)) {
+                const total = stats[horizon] || (stats[horizon] = { fills: 0, total: 0, informedFills: 0, informedTotal: 0 });
+                for (const key of Object.keys(total)) {
+                    total[key] += entry[key];
+                }
+            }
+        }
+        return summarizeMarkouts(stats, this.orderFlow.markoutHorizons);
+    }
+
+    /**
+     * Set candle duration, history length and timeframes for every leg
+     */
+    setCandleSettings(settings) {
+        this.setOnLegs('setCandleSettings', settings);
+    }
+
+    /**
+     * Set volatility regime for every leg
+     */
+    setVolatilityRegime(regime) {
+        this.setOnLegs('setVolatilityRegime', regime);
+    }
+
+    /**
+     * Select price model for every leg
+     */
+    setPriceModel(name, params = {}) {
+        this.setOnLegs('setPriceModel', name, params);
+    }
+
+    /**
+     * Select the live price source for every leg
+     */
+    setMarketDataSource(name) {
+        this.setOnLegs('setMarketDataSource', name);
+    }
+
+    /**
+     * Pause live quoting once any leg's last price update is older than ms
+     */
+    setPauseAfter(ms) {
+        this.setOnLegs('setPauseAfter', ms);
+    }
+
+    /**
+     * Set price drift for every leg
+     */
+    setDrift(drift) {
+        this.setOnLegs('setDrift', drift);
+    }
+
+    /**
+     * Update the focus asset's config
+     */
+    updateConfig(params) {
+        this.legs[this.asset].updateConfig(params);
+    }
+
+    /**
+     * Tick interval for the current mode
+     */
+    getTickIntervalMs() {
+        return this.mode === 'simulation'
+            ? TRADING_CONFIG.tickIntervalMs
+            : MARKET_DATA_SOURCES[this.marketDataSource].tickIntervalMs;
+    }
+
+    /**
+     * Reset every leg and the shared account
+     */
+    reset(initialBalance, startTime = Date.now()) {
+        this.stop();
+        this.clock.reset(startTime);
+        this.rng.reset();
+        this.account.balance = initialBalance;
+        this.initialBalance = initialBalance;
+        this.tickCount = 0;
+        this.dataHistory = new HistoryStore({ limit: this.historyLimit });
+        this.halt = null;
+        this.riskEvents = [];
+        this.peakEquity = initialBalance;
+
+        this.getLegs().forEach(leg => leg.reset(initialBalance, startTime));
+    }
+
+    /**
+     * Start simulation/live trading
+     */
+    async start() {
+        if (this.isRunning) return;
+        if (this.halt) {
+            throw new Error(`Kill switch tripped (${this.halt.type}); reset to trade again`);
+        }
+
+        this.isRunning = true;
+
+        // Open the feeds and fetch initial prices in live mode
+        if (this.mode === 'live') {
+            this.getLegs().forEach(leg => leg.livePriceFetcher.connect(leg.config));
+            await this.fetchLivePrices();
+        }
+
+        // Main loop
+        this.intervalId = setInterval(() => this.tick(), this.getTickIntervalMs());
+
+        // Run first tick immediately
+        this.tick();
+    }
+
+    /**
+     * Stop simulation
+     */
+    stop() {
+        this.isRunning = false;
+        if (this.intervalId) {
+            clearInterval(this.intervalId);
+            this.intervalId = null;
+        }
+        this.getLegs().forEach(leg => leg.livePriceFetcher.disconnect());
+    }
+
+    /**
+     * Fetch the current price of every leg
+     */
+    async fetchLivePrices() {
+        const prices = await Promise.all(
+            this.getLegs().map(leg => leg.livePriceFetcher.fetchPrice(leg.config))
+        );
+        this.getLegs().forEach((leg, i) => {
+            if (prices[i]) {
+                leg.currentMid = prices[i];
+            }
+        });
+    }
+
+    /**
+     * Main tick function - called every interval
+     */
+    async tick() {
+        if (!this.isRunning) return;
+
+        if (this.mode === 'simulation') {
+            this.step();
+            return;
+        }
+
+        await this.fetchLivePrices();
+
+        // One stale leg pauses the whole cross-margin book
+        const health = this.getFeedHealth();
+        if (this.onFeedHealth) {
+            this.onFeedHealth(health);
+        }
+        if (health.paused) {
+            return;
+        }
+
+        this.tickCount++;
+        this.processTick(new Date());
+    }
+
+    /**
+     * Combined live feed health of every leg: the stalest leg's age and
+     * state, with errors and reconnects summed
+     */
+    getFeedHealth() {
+        const legs = this.getLegs().map(leg => leg.getFeedHealth());
+        const stalest = legs.reduce((worst, health) => health.age > worst.age ? health : worst);
+        return {
+            ...stalest,
+            fallback: legs.some(health => health.fallback),
+            errors: legs.reduce((sum, health) => sum + health.errors, 0),
+            reconnects: legs.reduce((sum, health) => sum + health.reconnects, 0),
+            paused: stalest.age > this.pauseAfterMs
+        };
+    }
+
+    /**
+     * Advance every leg by one tick of the shared simulated clock
+     */
+    step() {
+        if (this.halt) {
+            return null;
+        }
+
+        this.tickCount++;
+        const now = this.clock.advance(TRADING_CONFIG.tickIntervalMs);
+
+        const shocks = this.shocks.sample(this.rng);
+        this.getLegs().forEach((leg, i) => {
+            leg.currentMid = leg.priceSimulator.generateTick(TRADING_CONFIG.tickIntervalMs / 1000 / 86400, now, shocks[i]);
+        });
+
+        return this.processTick(new Date(now));
+    }
+
+    /**
+     * Check cross-margin liquidation, then quote every leg
+     * Returns the portfolio data point; per-asset detail is under `assets`
+     */
+    processTick(timestamp) {
+        this.checkLiquidation(timestamp);
+
+        const assets = {};
+        for (const asset of this.assets) {
+            const leg = this.legs[asset];
+            leg.tickCount = this.tickCount;
+            leg.quoteTick(timestamp);
+            const engine = leg.tradingEngine;
+
+            assets[asset] = {
+                ...leg.getMarketFields(),
+                longSize: engine.longPosition.size,
+                shortSize: engine.shortPosition.size,
+                margin: engine.calculateMargin(engine.longPosition.size, engine.longPosition.avgPrice)
+                    + engine.calculateMargin(engine.shortPosition.size, engine.shortPosition.avgPrice),
+                unrealizedPnL: engine.calculateUnrealizedPnL(leg.currentMid),
+                realizedPnL: engine.realizedPnL,
+                fees: engine.feesPaid,
+                funding: engine.fundingPaid,
+                ...leg.settlePnLAttribution()
+            };
+        }
+
+        const legs = Object.values(assets);
+        const sum = (key) => legs.reduce((total, leg) => total + leg[key], 0);
+
+        const dataPoint = {
+            timestamp: timestamp.toISOString(),
+            tick: this.tickCount,
+            balance: this.account.balance,
+            equity: this.calculateEquity(),
+            margin: sum('margin'),
+            unrealizedPnL: sum('unrealizedPnL'),
+            realizedPnL: sum('realizedPnL'),
+            fees: sum('fees'),
+            funding: sum('funding'),
+            ...sumAttributionFields(legs),
+            assets: assets
+        };
+
+        this.dataHistory.push(dataPoint);
+
+        if (this.onTick) {
+            this.onTick(dataPoint);
+        }
+
+        // Kill switch on account-wide session loss or drawdown
+        this.peakEquity = Math.max(this.peakEquity, dataPoint.equity);
+        const breach = checkKillSwitch(this.risk, dataPoint.equity, this.initialBalance, this.peakEquity);
+        if (breach && !this.halt) {
+            this.tripKillSwitch(breach, timestamp);
+        }
+
+        return dataPoint;
+    }
+
+    /**
+     * Stop the whole portfolio (until reset) and log why in the
+     * account-wide risk events
+     */
+    tripKillSwitch(breach, timestamp) {
+        haltEngine(this, logRiskEvent(this.riskEvents, { ...breach, action: 'KILL' }, timestamp, this.tradeLimit));
+        // Legs stop quoting from here on (see SimulationEngine.quoteTick)
+        this.getLegs().forEach(leg => {
+            leg.halt = this.halt;
+        });
+    }
+
+    /**
+     * A portfolio data point with one asset's market and position fields
+     * lifted to the top level (the shape single-asset charts expect)
+     * Account fields (balance, equity, PnL and its attribution) stay
+     * portfolio totals
+     */
+    static focusPoint(point, asset) {
+        const market = { ...point.assets[asset] };
+        for (const field of PORTFOLIO_ACCOUNT_FIELDS) {
+            delete market[field];
+        }
+        return { ...point, ...market };
+    }
+
+    /**
+     * focusPoint applied to a whole HistoryStore, read by column as
+     * ChartManager.setHistory does
+     */
+    static focusHistory(history, asset) {
+        const prefix = `assets.${asset}.`;
+        const own = (field) => !PORTFOLIO_ACCOUNT_FIELDS.includes(field) && history.has(prefix + field);
+
+        return {
+            length: history.length,
+            column: (field) => history.column(own(field) ? prefix + field : field),
+            fields: () => [...new Set([...history.fields(), ...history.fields(prefix)])]
+        };
+    }
+
+    /**
+     * Portfolio equity: shared balance plus every leg's margin and unrealized PnL
+     */
+    calculateEquity() {
+        return this.getLegs().reduce(
+            (equity, leg) => equity + leg.tradingEngine.calculatePositionValue(leg.currentMid),
+            this.account.balance
+        );
+    }
+
+    /**
+     * Gross open notional at the mids across every leg but except
+     */
+    calculateGrossNotional(except = null) {
+        return this.getLegs().reduce((total, leg) => leg === except ? total
+            : total + (leg.tradingEngine.longPosition.size + leg.tradingEngine.shortPosition.size) * leg.currentMid, 0);
+    }
+
+    /**
+     * Total maintenance margin across every leg
+     */
+    calculateMaintenanceMargin() {
+        return this.getLegs().reduce((total, leg) =>
+            total + leg.tradingEngine.calculateMaintenanceMargin(leg.currentMid, leg.config.maintenanceMargin), 0);
+    }
+
+    /**
+     * Liquidate legs while portfolio equity is below total maintenance margin
+     * Legs are liquidated in portfolio order, each judged against the
+     * portfolio equity left after the previous ones; once that covers the
+     * remaining maintenance the other legs are left alone. Too little
+     * equity left to margin an order halts the portfolio
+     */
+    checkLiquidation(timestamp) {
+        if (!this.liquidation.enabled) return;
+
+        let liquidated = false;
+        for (const asset of this.assets) {
+            const maintenance = this.calculateMaintenanceMargin();
+            // Same dust rule as TradingEngine.shouldLiquidate
+            if (maintenance < 0.01 || this.calculateEquity() >= maintenance) break;
+
+            const leg = this.legs[asset];
+            const engine = leg.tradingEngine;
+            if (engine.longPosition.size === 0 && engine.shortPosition.size === 0) continue;
+
+            const liquidation = engine.executeLiquidation(
+                leg.currentMid, leg.config.maintenanceMargin, this.liquidation, timestamp, this.calculateEquity()
+            );
+            if (this.onLiquidation) {
+                this.onLiquidation({ asset, ...liquidation });
+            }
+            liquidated = true;
+        }
+
+        // Stop rather than quote dust once the account can't margin an order
+        const equity = this.calculateEquity();
+        const minimum = this.tradingEngine.getMinimumMargin();
+        if (liquidated && equity < minimum) {
+            this.tripKillSwitch({ type: 'WIPED_OUT', value: equity, limit: minimum }, timestamp);
+        }
+    }
+
+    /**
+     * Event log by name across all legs, tagged with asset, newest first
+     */
+    getLog(name) {
+        // Account-wide risk events (the kill switch) carry no asset
+        const own = name === 'riskEvents' ? [...this.riskEvents].reverse() : [];
+        return this.assets
+            .flatMap(asset => this.legs[asset].getLog(name).map(entry => ({ asset, ...entry })))
+            .concat(own)
+            .sort((a, b) => b.isoTimestamp.localeCompare(a.isoTimestamp));
+    }
+
+    /**
+     * Event log by name across all legs, tagged with asset, oldest first
+     */
+    getLogEntries(name) {
+        const own = name === 'riskEvents' ? this.riskEvents : [];
+        return this.assets
+            .flatMap(asset => this.legs[asset].getLogEntries(name).map(entry => ({ asset, ...entry })))
+            .concat(own)
+            .sort((a, b) => a.isoTimestamp.localeCompare(b.isoTimestamp));
     }
 
-    /**
-     * Stop simulation
-     */
-    stop() {
-        this.isRunning = false;
-        if (this.intervalId) {
-            clearInterval(this.intervalId);
-            this.intervalId = null;
+    /**
+     * Number of entries in an event log across all legs, without merging them
+     */
+    getLogCount(name) {
+        const own = name === 'riskEvents' ? this.riskEvents.length : 0;
+        return this.getLegs().reduce((count, leg) => count + leg.getLogCount(name), own);
+    }
+
+    /**
+     * Account totals plus each leg's own state under `assets`
+     */
+    getState() {
+        const assets = {};
+        for (const asset of this.assets) {
+            assets[asset] = this.legs[asset].getState();
+        }
+        const states = Object.values(assets);
+        const sum = (key) => states.reduce((total, state) => total + state[key], 0);
+
+        return {
+            balance: this.account.balance,
+            realizedPnL: sum('realizedPnL'),
+            feesPaid: sum('feesPaid'),
+            fundingPaid: sum('fundingPaid'),
+            penaltiesPaid: sum('penaltiesPaid'),
+            tradedCount: sum('tradedCount'),
+            tradedNotional: sum('tradedNotional'),
+            positionMode: this.positionMode,
+            tradesCount: sum('tradesCount'),
+            collapsesCount: sum('collapsesCount'),
+            liquidationsCount: sum('liquidationsCount'),
+            assets: assets
+        };
+    }
+
+    /**
+     * Everything needed to regenerate this run deterministically
+     * `assets` (instead of `asset`) marks a portfolio manifest
+     */
+    getManifest() {
+        const configs = {};
+        for (const asset of this.assets) {
+            configs[asset] = { ...this.legs[asset].config };
+        }
+
+        return {
+            version: RUN_MANIFEST_VERSION,
+            assets: [...this.assets],
+            mode: this.mode,
+            seed: this.rng.seed,
+            volatilityRegime: this.volatilityRegime,
+            drift: this.drift,
+            priceModel: { name: this.priceModel.name, params: { ...this.priceModel.params } },
+            atrLength: this.atrLength,
+            volatilityEstimator: { name: this.volatilityEstimator.name, params: { ...this.volatilityEstimator.params } },
+            quotingStrategy: { name: this.quotingStrategy.name, params: { ...this.quotingStrategy.params } },
+            collapsePolicy: { name: this.collapsePolicy.name, params: { ...this.collapsePolicy.params } },
+            ladder: { ...this.ladder },
+            orderFlow: { ...this.orderFlow, markoutHorizons: [...this.orderFlow.markoutHorizons] },
+            candles: { ...this.candleSettings, timeframes: [...this.candleSettings.timeframes] },
+            fillModel: { name: this.fillModel.name, params: { ...this.fillModel.params } },
+            positionMode: this.positionMode,
+            fees: { ...this.tradingEngine.fees },
+            funding: { ...this.funding },
+            liquidation: { ...this.liquidation },
+            risk: { ...this.risk },
+            correlations: { ...this.correlations },
+            initialBalance: this.initialBalance,
+            startTime: this.clock.startTime,
+            ticks: this.tickCount,
+            configs: configs,
+            tradingConfig: { ...TRADING_CONFIG },
+            marketDataSource: this.mode === 'live' ? this.marketDataSource : undefined
+        };
+    }
+
+    /**
+     * Build a fresh simulation-mode portfolio from a portfolio manifest
+     */
+    static fromManifest(manifest, options = { historyLimit: Infinity, tradeLimit: Infinity }) {
+        const engine = new PortfolioEngine(options);
+
+        engine.setMode('simulation');
+        engine.setSeed(manifest.seed);
+        engine.setATRLength(manifest.atrLength);
+        const estimator = manifest.volatilityEstimator || { name: 'atr' };
+        engine.setVolatilityEstimator(estimator.name, estimator.params);
+        const strategy = manifest.quotingStrategy || { name: 'atrSkew' };
+        engine.setQuotingStrategy(strategy.name, strategy.params);
+        // Manifests without a collapse policy used the fixed low-balance rule
+        const collapsePolicy = manifest.collapsePolicy || { name: 'lowBalance' };
+        engine.setCollapsePolicy(collapsePolicy.name, collapsePolicy.params);
+        engine.setLadder(manifest.ladder || { levels: 1 });
+        engine.setOrderFlow(manifest.orderFlow || { informedShare: 0 });
+        if (manifest.candles) {
+            engine.setCandleSettings(manifest.candles);
+        }
+        engine.setFillModel(manifest.fillModel.name, manifest.fillModel.params);
+        engine.setPositionMode(manifest.positionMode);
+        engine.setFees(manifest.fees);
+        engine.setFunding(manifest.funding);
+        engine.setLiquidation(manifest.liquidation);
+        engine.setRisk(manifest.risk || { enabled: false });
+        engine.setVolatilityRegime(manifest.volatilityRegime);
+        engine.setDrift(manifest.drift);
+        const priceModel = manifest.priceModel || { name: 'gbm' };
+        engine.setPriceModel(priceModel.name, priceModel.params);
+        engine.setAssets(manifest.assets);
+        // Manifests without correlations predate them: independent moves
+        engine.setCorrelations(manifest.correlations || {});
+        for (const asset of manifest.assets) {
+            engine.legs[asset].detachConfig(manifest.configs[asset]);
+        }
+        engine.reset(manifest.initialBalance, manifest.startTime);
+
+        return engine;
+    }
+
+    /**
+     * Export data as CSV, one column group per asset
+     */
+    exportCSV() {
+        if (this.dataHistory.length === 0) {
+            return null;
+        }
+
+        const flatten = (point) => {
+            const { assets, ...totals } = point;
+            const row = { ...totals };
+            for (const [asset, values] of Object.entries(assets)) {
+                for (const [key, value] of Object.entries(values)) {
+                    row[`${asset}_${key}`] = value;
+                }
+            }
+            return row;
+        };
+
+        // Rows are flattened one at a time, the history can be long
+        const headers = Object.keys(flatten(this.dataHistory.at(0)));
+        const lines = [];
+        for (const point of this.dataHistory) {
+            const row = flatten(point);
+            lines.push(headers.map(h => {
+                const val = row[h];
+                return typeof val === 'number' ? val.toFixed(8) : val;
+            }).join(','));
+        }
+
+        return [headers.join(','), ...lines].join('\n');
+    }
+
+    /**
+     * Export data as JSON
+     */
+    exportJSON() {
+        const manifest = this.getManifest();
+
+        return JSON.stringify({
+            timestamp: new Date().toISOString(),
+            asset: this.assets.join('+'),
+            mode: this.mode,
+            manifest: manifest,
+            config: manifest.configs,
+            trades: this.getLog('trades'),
+            collapses: this.getLog('collapses'),
+            fundingPayments: this.getLog('fundingPayments'),
+            liquidations: this.getLog('liquidations'),
+            riskEvents: this.getLog('riskEvents'),
+            markouts: this.getMarkoutSummary(),
+            history: this.dataHistory,
+            finalState: this.getState()
+        }, null, 2);
+    }
+
+    // Callbacks (to be set by UI controller)
+    onTick = null;
+    onTrade = null;
+    onCollapse = null;
+    onLiquidation = null;
+    onRiskEvent = null;
+    onHalt = null;
+}
+
+/**
+ * Build the engine a manifest describes: portfolio manifests list `assets`
+ */
+function engineFromManifest(manifest, options) {
+    return manifest.assets
+        ? PortfolioEngine.fromManifest(manifest, options)
+        : SimulationEngine.fromManifest(manifest, options);
+}
+
+
+// ===========================================
+// 14. BACKTEST MODULE
+// ===========================================
+
+/**
+ * Default simulated start time for headless runs (2024-01-01 UTC)
+ * Fixed so that timestamps are identical across runs
+ */
+const BACKTEST_EPOCH = Date.UTC(2024, 0, 1);
+
+/**
+ * Run a simulation headlessly for a fixed number of ticks
+ * No timers or DOM: ticks advance as fast as the CPU allows on the
+ * simulated clock, so a given seed always produces the same run
+ * Passing `assets` runs a cross-margin portfolio instead of `asset`;
+ * `params` then overrides every asset's config and `correlations`
+ * sets how their prices move together
+ * Passing `historicalData` (from parseHistoricalData) quotes against
+ * those prices instead of simulated ones
+ * `candles` overrides the candle settings (see CandleAggregator)
+ * `volatilityEstimator` picks what drives quotes (see VOLATILITY_ESTIMATORS)
+ * and `quotingStrategy` how they are priced (see QUOTING_STRATEGIES);
+ * `collapsePolicy` picks when legs are netted (see COLLAPSE_POLICIES);
+ * `orderFlow` overrides ORDER_FLOW_CONFIG (informed takers, markouts);
+ * `ladder` overrides LADDER_CONFIG and `risk` RISK_CONFIG (limits apply
+ * with enabled: true); a tripped kill switch ends the run early
+ * The result's dataHistory is the engine's HistoryStore (every tick)
+ */
+function runBacktest({
+    asset = 'BTC',
+    assets = null,
+    correlations = DEFAULT_CORRELATIONS,
+    ticks = 1000,
+    seed = 12345,
+    initialBalance = TRADING_CONFIG.defaultBalance,
+    startTime = BACKTEST_EPOCH,
+    volatilityRegime = 'medium',
+    drift = 0,
+    priceModel = { name: DEFAULT_PRICE_MODEL },
+    atrLength = TRADING_CONFIG.atrLength,
+    volatilityEstimator = { name: DEFAULT_VOLATILITY_ESTIMATOR },
+    quotingStrategy = { name: DEFAULT_QUOTING_STRATEGY },
+    collapsePolicy = { name: DEFAULT_COLLAPSE_POLICY },
+    ladder = {},
+    orderFlow = {},
+    candles = null,
+    fillModel = { name: DEFAULT_FILL_MODEL },
+    positionMode = 'hedge',
+    fees = DEFAULT_FEE_TIER,
+    funding = {},
+    liquidation = {},
+    risk = {},
+    historicalData = null,
+    params = {}
+} = {}) {
+    const settings = {
+        seed, initialBalance, startTime, volatilityRegime, drift, priceModel, atrLength, volatilityEstimator,
+        quotingStrategy, collapsePolicy, ladder, orderFlow, candles, fillModel, positionMode, fees, funding, liquidation, risk
+    };
+    const engine = assets
+        ? PortfolioEngine.fromManifest({
+            ...settings,
+            assets: assets,
+            correlations: correlations,
+            configs: Object.fromEntries(assets.map(a => [a, params]))
+        })
+        : SimulationEngine.fromManifest({ ...settings, asset: asset, config: params });
+
+    if (historicalData) {
+        engine.setMode('historical');
+        engine.setHistoricalData(historicalData);
+        engine.reset(initialBalance);
+    }
+
+    // A run ends early when historical data runs out or the kill switch trips
+    for (let i = 0; i < ticks; i++) {
+        if (engine.step() === null) break;
+    }
+
+    const manifest = engine.getManifest();
+
+    return {
+        asset: assets ? assets.join('+') : asset,
+        seed: seed,
+        ticks: engine.tickCount,
+        config: assets ? manifest.configs : engine.config,
+        manifest: manifest,
+        dataHistory: engine.dataHistory,
+        trades: engine.getLog('trades'),
+        collapses: engine.getLog('collapses'),
+        fundingPayments: engine.getLog('fundingPayments'),
+        liquidations: engine.getLog('liquidations'),
+        riskEvents: engine.getLog('riskEvents'),
+        markouts: engine.getMarkoutSummary(),
+        finalState: engine.getState()
+    };
+}
+
+
+/**
+ * Find the first tick where a regenerated history (a HistoryStore) differs
+ * from a recorded one
+ * Points are matched by tick number, so a recorded tail (capped history)
+ * is checked against the same ticks of the full replay
+ * Returns null when every recorded field matches exactly
+ */
+function findHistoryDivergence(recorded, replayed) {
+    const replayedByTick = new Map(Array.from(replayed.column('tick'), (tick, i) => [tick, i]));
+
+    for (const expected of recorded) {
+        const index = replayedByTick.get(expected.tick);
+        if (index === undefined) {
+            return { tick: expected.tick, field: 'tick', expected: expected.tick, actual: null };
+        }
+
+        const difference = findFieldDifference(expected, replayed.at(index));
+        if (difference) {
+            return { tick: expected.tick, ...difference };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * First recorded field whose value differs, descending into nested
+ * objects (portfolio points keep per-asset values under `assets`)
+ * Nested fields are named by path, e.g. 'assets.ETH.mid'
+ */
+function findFieldDifference(expected, actual, prefix = '') {
+    for (const field of Object.keys(expected)) {
+        const value = expected[field];
+        const other = actual ? actual[field] : undefined;
+
+        if (value !== null && typeof value === 'object') {
+            const difference = findFieldDifference(value, other, `${prefix}${field}.`);
+            if (difference) {
+                return difference;
+            }
+        } else if (value !== other) {
+            return { field: prefix + field, expected: value, actual: other };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Re-run an exported run from its manifest and check it against the file
+ * Returns the replayed engine plus the first divergence (null if identical)
+ */
+function replayRun(run) {
+    const manifest = run.manifest;
+    if (!manifest) {
+        throw new Error('Run has no manifest (exported before replay support)');
+    }
+    if (manifest.mode !== 'simulation') {
+        throw new Error(`Only simulation runs can be replayed (this run is ${manifest.mode})`);
+    }
+
+    // TRADING_CONFIG is code, not state: report values that changed since export
+    const configChanges = Object.keys(manifest.tradingConfig)
+        .filter(key => manifest.tradingConfig[key] !== TRADING_CONFIG[key]);
+
+    const engine = engineFromManifest(manifest);
+    for (let i = 0; i < manifest.ticks; i++) {
+        engine.step();
+    }
+
+    const divergence = findHistoryDivergence(run.history, engine.dataHistory);
+
+    return {
+        engine: engine,
+        matches: divergence === null,
+        divergence: divergence,
+        configChanges: configChanges
+    };
+}
+
+
+// ===========================================
+// 15. PARAMETER SWEEP MODULE
+// ===========================================
+
+/**
+ * Parameters a sweep can vary
+ * atrLength sets the engine's ATR period, the rest override the asset config
+ */
+const SWEEP_PARAMS = {
+    kVol: { label: 'k_vol', integer: false },
+    kPos: { label: 'k_pos', integer: false },
+    maxPosition: { label: 'Max Position', integer: false },
+    atrLength: { label: 'ATR Length', integer: true }
+};
+
+/**
+ * Metrics a sweep can rank by
+ */
+const SWEEP_METRICS = {
+    finalEquity: { label: 'Final Equity', higherIsBetter: true },
+    realizedPnL: { label: 'Realized PnL', higherIsBetter: true },
+    collapses: { label: 'Collapses', higherIsBetter: false },
+    liquidations: { label: 'Liquidations', higherIsBetter: false },
+    maxDrawdown: { label: 'Max Drawdown', higherIsBetter: false },
+    markout: { label: 'Markout / Fill', higherIsBetter: true }
+};
+
+/**
+ * Largest peak-to-trough fall of an equity series
+ * Returned both in dollars and as a fraction of the peak
+ */
+function calculateMaxDrawdown(equities) {
+    let peak = -Infinity;
+    let maxDrawdown = 0;
+    let maxDrawdownPct = 0;
+
+    for (const equity of equities) {
+        if (equity > peak) {
+            peak = equity;
+        }
+
+        const drawdown = peak - equity;
+        if (drawdown > maxDrawdown) {
+            maxDrawdown = drawdown;
+            maxDrawdownPct = peak > 0 ? drawdown / peak : 0;
         }
     }
 
-    /**
-     * Main tick function - called every interval
-     */
-    async tick() {
-        if (!this.isRunning) return;
+    return { maxDrawdown, maxDrawdownPct };
+}
 
-        this.tickCount++;
-        const timestamp = new Date();
+/**
+ * Build every combination of the given parameter values
+ * e.g. { kVol: [0.1, 0.2], kPos: [0.3] } → [{ kVol: 0.1, kPos: 0.3 }, { kVol: 0.2, kPos: 0.3 }]
+ */
+function buildParameterGrid(grid) {
+    return Object.entries(grid).reduce((points, [key, values]) =>
+        points.flatMap(point => values.map(value => ({ ...point, [key]: value }))),
+    [{}]);
+}
 
-        // 1. Get current price
-        if (this.mode === 'simulation') {
-            this.currentMid = this.priceSimulator.generateTick();
-        } else {
-            const price = await this.livePriceFetcher.fetchPrice(this.config.coinId);
-            if (price) {
-                this.currentMid = price;
-            }
+/**
+ * Draw random points from parameter ranges, e.g. { kVol: [0.1, 0.5] }
+ * Uses its own SeededRNG so the sample is reproducible
+ */
+function sampleParameterSpace(ranges, samples, seed = 12345) {
+    const rng = new SeededRNG(seed);
+    const points = [];
+
+    for (let i = 0; i < samples; i++) {
+        const point = {};
+        for (const [key, [min, max]] of Object.entries(ranges)) {
+            const value = rng.randomRange(min, max);
+            point[key] = SWEEP_PARAMS[key] && SWEEP_PARAMS[key].integer ? Math.round(value) : value;
         }
+        points.push(point);
+    }
 
-        // 2. Calculate ATR from candles
-        const candles = this.mode === 'simulation' 
-            ? this.priceSimulator.getCandles()
-            : this.livePriceFetcher.getCandles();
-        
-        this.currentATR = calculateATR(candles, this.atrLength);
+    return points;
+}
 
-        // 3. Check for collapse condition
-        if (this.tradingEngine.shouldCollapse()) {
-            const collapse = this.tradingEngine.executeCollapse(timestamp);
-            if (collapse) {
-                this.onCollapse(collapse);
-            }
-        }
+/**
+ * Backtest one parameter point over several seeds and average the results
+ */
+function evaluateSweepPoint(point, { seeds = [12345], ...runOptions } = {}) {
+    const { atrLength, ...params } = point;
+    const totals = { finalEquity: 0, realizedPnL: 0, collapses: 0, liquidations: 0, maxDrawdown: 0, markout: 0 };
+
+    for (const seed of seeds) {
+        const run = runBacktest({
+            ...runOptions,
+            seed: seed,
+            atrLength: atrLength !== undefined ? atrLength : runOptions.atrLength,
+            params: params
+        });
+        const equities = run.dataHistory.column('equity');
+
+        totals.finalEquity += equities.length > 0 ? equities[equities.length - 1] : run.finalState.balance;
+        totals.realizedPnL += run.finalState.realizedPnL;
+        totals.collapses += run.collapses.length;
+        totals.liquidations += run.liquidations.length;
+        totals.maxDrawdown += calculateMaxDrawdown(equities).maxDrawdown;
+        // Average markout at the longest horizon
+        const markout = run.markouts[run.markouts.length - 1];
+        totals.markout += markout && markout.average !== null ? markout.average : 0;
+    }
 
-        // 4. Calculate quotes
-        this.currentQuotes = calculateQuotes(
-            this.currentMid,
-            this.currentATR,
-            this.tradingEngine.longPosition.size,
-            this.tradingEngine.shortPosition.size,
-            this.config
-        );
+    const result = { params: { ...point }, seeds: seeds.length };
+    for (const key of Object.keys(totals)) {
+        result[key] = totals[key] / seeds.length;
+    }
+    return result;
+}
 
-        // 5. Simulate market activity (random fills)
-        this.simulateMarketActivity(timestamp);
+/**
+ * Sort sweep results best-first by the given metric
+ */
+function rankSweepResults(results, metric = 'finalEquity') {
+    const direction = SWEEP_METRICS[metric].higherIsBetter ? -1 : 1;
+    return [...results]
+        .sort((a, b) => direction * (a[metric] - b[metric]))
+        .map((result, i) => ({ rank: i + 1, ...result }));
+}
 
-        // 6. Calculate metrics
-        const unrealizedPnL = this.tradingEngine.calculateUnrealizedPnL(this.currentMid);
-        const equity = this.tradingEngine.calculateEquity(this.currentMid);
+/**
+ * Run a full parameter sweep
+ * Pass either `grid` (values per parameter) or `ranges` + `samples`
+ * (random search); remaining options go to runBacktest
+ */
+function runSweep({ grid, ranges, samples = 20, sampleSeed = 12345, metric = 'finalEquity', ...options } = {}) {
+    const points = grid ? buildParameterGrid(grid) : sampleParameterSpace(ranges, samples, sampleSeed);
+    const results = points.map(point => evaluateSweepPoint(point, options));
+    return rankSweepResults(results, metric);
+}
 
-        // 7. Record data point
-        const dataPoint = {
-            timestamp: timestamp.toISOString(),
-            tick: this.tickCount,
-            mid: this.currentMid,
-            bid: this.currentQuotes.bid,
-            ask: this.currentQuotes.ask,
-            spread: this.currentQuotes.actualSpread,
-            atr: this.currentATR,
-            balance: this.tradingEngine.balance,
-            equity: equity,
-            unrealizedPnL: unrealizedPnL,
-            realizedPnL: this.tradingEngine.realizedPnL,
-            longSize: this.tradingEngine.longPosition.size,
-            shortSize: this.tradingEngine.shortPosition.size
-        };
 
-        this.dataHistory.push(dataPoint);
+// ===========================================
+// 16. TRADE ANALYTICS MODULE
+// ===========================================
 
-        // Keep only last 1000 data points in memory
-        if (this.dataHistory.length > 1000) {
-            this.dataHistory.shift();
-        }
+/**
+ * Equal-width histogram of each side's values over their common range
+ * Returns [{ from, to, LONG, SHORT }] with counts per side
+ */
+function buildSideHistogram(values, bins) {
+    const all = [...values.LONG, ...values.SHORT];
+    if (all.length === 0) {
+        return [];
+    }
 
-        // 8. Trigger UI update callback
-        if (this.onTick) {
-            this.onTick(dataPoint);
+    const min = all.reduce((a, b) => Math.min(a, b));
+    const max = all.reduce((a, b) => Math.max(a, b));
+    const width = max > min ? (max - min) / bins : 1;
+    const histogram = Array.from({ length: max > min ? bins : 1 }, (_, i) => ({
+        from: min + i * width,
+        to: min + (i + 1) * width,
+        LONG: 0,
+        SHORT: 0
+    }));
+
+    for (const side of ['LONG', 'SHORT']) {
+        for (const value of values[side]) {
+            const bin = Math.min(Math.floor((value - min) / width), histogram.length - 1);
+            histogram[bin][side]++;
         }
     }
+    return histogram;
+}
 
-    /**
-     * Simulate random market activity
-     * Fills occur probabilistically based on spread and volatility
-     */
-    simulateMarketActivity(timestamp) {
-        // Base fill probability: 25%
-        const fillProbability = 0.25;
-        
-        if (this.rng.random() > fillProbability) {
-            return;
+/**
+ * Per-side statistics of a trade log (newest first, as getLog returns it,
+ * or oldest first with oldestFirst, as getLogEntries does)
+ *
+ * edge: what a fill earned against the mid at fill time, in $ and bps
+ * hitRate: share of quoting ticks in which the side was filled
+ *   (ticks counts every asset's ticks in a portfolio)
+ * holding time: how long bought (LONG) or sold (SHORT) inventory stayed
+ *   open until an opposite fill of the same asset offset it, first in
+ *   first out
+ * spreadEarnedBps: LONG + SHORT average edge, i.e. a round trip's capture
+ *
+ * Trades logged before fills recorded their mid and tick are left out of
+ * edge and hit rate
+ */
+function analyzeTrades(trades, { ticks = 0, horizons = ORDER_FLOW_CONFIG.markoutHorizons, bins = 10, oldestFirst = false } = {}) {
+    const sides = {};
+    for (const side of ['LONG', 'SHORT']) {
+        sides[side] = {
+            fills: 0, volume: 0, edge: 0, edgeBps: 0, edgeFills: 0,
+            hitTicks: new Set(), markouts: {}, heldSize: 0, heldTime: 0,
+            edgeValues: [], markoutValues: []
+        };
+    }
+    const lastHorizon = horizons[horizons.length - 1];
+    const openLots = {};    // per asset, oldest first; all on one side
+
+    for (let i = 0; i < trades.length; i++) {
+        const trade = trades[oldestFirst ? i : trades.length - 1 - i];
+        const stats = sides[trade.side];
+        const direction = trade.side === 'LONG' ? 1 : -1;
+        const asset = trade.asset || '';
+        stats.fills++;
+        stats.volume += trade.size;
+
+        if (trade.mid !== undefined) {
+            const edgeBps = direction * (trade.mid - trade.price) / trade.mid * 10000;
+            stats.edge += direction * (trade.mid - trade.price) * trade.size;
+            stats.edgeBps += edgeBps;
+            stats.edgeFills++;
+            stats.edgeValues.push(edgeBps);
+        }
+        if (trade.tick !== undefined) {
+            stats.hitTicks.add(`${asset}:${trade.tick}`);
+        }
+        for (const [horizon, markout] of Object.entries(trade.markouts || {})) {
+            const entry = stats.markouts[horizon] || (stats.markouts[horizon] = { fills: 0, total: 0 });
+            entry.fills++;
+            entry.total += markout;
+        }
+        if (trade.markouts && trade.markouts[lastHorizon] !== undefined) {
+            stats.markoutValues.push(trade.markouts[lastHorizon]);
         }
 
-        // Determine side (50/50 buy/sell)
-        const isBuyOrder = this.rng.random() < 0.5;
-        
-        // Partial fills: 50-100% of order size
-        const fillPercentage = 0.5 + this.rng.random() * 0.5;
-
-        if (isBuyOrder) {
-            // Market buy hits our ask → we sell → enter short
-            const orderSize = this.tradingEngine.calculateOrderSize(this.currentQuotes.ask);
-            const fillSize = orderSize * fillPercentage;
-            const trade = this.tradingEngine.executeEntry('SHORT', this.currentQuotes.ask, fillSize, timestamp);
-            
-            if (trade && this.onTrade) {
-                this.onTrade(trade);
-            }
-        } else {
-            // Market sell hits our bid → we buy → enter long
-            const orderSize = this.tradingEngine.calculateOrderSize(this.currentQuotes.bid);
-            const fillSize = orderSize * fillPercentage;
-            const trade = this.tradingEngine.executeEntry('LONG', this.currentQuotes.bid, fillSize, timestamp);
-            
-            if (trade && this.onTrade) {
-                this.onTrade(trade);
+        // Offset the oldest opposite inventory first
+        const time = Date.parse(trade.isoTimestamp);
+        const lots = openLots[asset] || (openLots[asset] = []);
+        let size = trade.size;
+        while (size > 1e-12 && lots.length > 0 && lots[0].side !== trade.side) {
+            const lot = lots[0];
+            const matched = Math.min(size, lot.size);
+            sides[lot.side].heldSize += matched;
+            sides[lot.side].heldTime += matched * (time - lot.time);
+            lot.size -= matched;
+            size -= matched;
+            if (lot.size <= 1e-12) {
+                lots.shift();
             }
         }
+        if (size > 1e-12) {
+            lots.push({ side: trade.side, size: size, time: time });
+        }
     }
 
-    /**
-     * Export data as CSV
-     */
-    exportCSV() {
-        if (this.dataHistory.length === 0) {
-            return null;
-        }
+    const average = (total, count) => count > 0 ? total / count : null;
+    const summary = {};
+    for (const [side, stats] of Object.entries(sides)) {
+        summary[side] = {
+            fills: stats.fills,
+            volume: stats.volume,
+            hitRate: ticks > 0 && stats.hitTicks.size > 0 ? stats.hitTicks.size / ticks : null,
+            edge: stats.edge,
+            averageEdge: average(stats.edge, stats.edgeFills),
+            averageEdgeBps: average(stats.edgeBps, stats.edgeFills),
+            markouts: horizons.map(horizon => {
+                const entry = stats.markouts[horizon] || { fills: 0, total: 0 };
+                return { horizon: horizon, average: average(entry.total, entry.fills) };
+            }),
+            averageHoldingSeconds: stats.heldSize > 0 ? stats.heldTime / stats.heldSize / 1000 : null
+        };
+    }
 
-        const headers = Object.keys(this.dataHistory[0]);
-        const rows = this.dataHistory.map(row => 
-            headers.map(h => {
-                const val = row[h];
-                return typeof val === 'number' ? val.toFixed(8) : val;
-            }).join(',')
-        );
+    const { LONG, SHORT } = summary;
+    return {
+        trades: trades.length,
+        sides: summary,
+        spreadEarnedBps: LONG.averageEdgeBps !== null && SHORT.averageEdgeBps !== null
+            ? LONG.averageEdgeBps + SHORT.averageEdgeBps
+            : null,
+        edgeHistogram: buildSideHistogram({ LONG: sides.LONG.edgeValues, SHORT: sides.SHORT.edgeValues }, bins),
+        markoutHorizon: lastHorizon,
+        markoutHistogram: buildSideHistogram({ LONG: sides.LONG.markoutValues, SHORT: sides.SHORT.markoutValues }, bins)
+    };
+}
 
-        return [headers.join(','), ...rows].join('\n');
+
+// ===========================================
+// 17. PERFORMANCE REPORT MODULE
+// ===========================================
+
+/**
+ * End-of-run performance summary from a run's equity history and logs
+ *
+ * Each point's return covers the time since the previous point, so
+ * unevenly spaced points (live feeds, gaps in historical data) weigh by
+ * the time they span. Mean and variance are taken per unit of time and
+ * scaled to a year of daysPerYear days for the annualized return,
+ * volatility, Sharpe and Sortino. Calmar = annualized return / max
+ * drawdown %. Time under water counts points below the running equity peak.
+ * PnL splits into spread capture (fill edge against the mid, see
+ * analyzeTrades) and inventory PnL (the rest of the trading PnL),
+ * with fees, funding and liquidation penalties on their own.
+ *
+ * Spread capture and penalties are summed from the history's PnL
+ * attribution, so a capped trade log doesn't shorten them; turnover
+ * comes from finalState's fill totals for a history kept from the start. Older runs without those fields fall back to the trade and
+ * liquidation logs passed in, as do collapses.
+ *
+ * history is a HistoryStore or an array of points (a saved run). One that
+ * starts after tick 1 (a capped history) is measured from its first point;
+ * logged trades, collapses and liquidations before it are left out.
+ * Returns null for an empty history
+ */
+function buildPerformanceReport({
+    history,
+    trades = [],
+    collapses = [],
+    liquidations = [],
+    finalState = null,
+    initialBalance = TRADING_CONFIG.defaultBalance,
+    daysPerYear = 365
+}) {
+    const store = history instanceof HistoryStore ? history : HistoryStore.from(history);
+    if (store.length === 0) {
+        return null;
     }
 
-    /**
-     * Export data as JSON
-     */
-    exportJSON() {
-        return JSON.stringify({
-            asset: this.asset,
-            mode: this.mode,
-            config: this.config,
-            trades: this.tradingEngine.trades,
-            collapses: this.tradingEngine.collapses,
-            history: this.dataHistory,
-            finalState: this.tradingEngine.getState()
-        }, null, 2);
+    // Runs saved before funding was tracked have no funding field
+    const first = store.at(0);
+    const last = store.at(-1);
+    const fromStart = first.tick <= 1;
+    const base = fromStart ? { tick: 0, equity: initialBalance, fees: 0, funding: 0 } : first;
+
+    const allTimes = store.column('timestamp');
+    const firstTime = allTimes[0];
+    const endTime = allTimes[allTimes.length - 1];
+    // A run kept from the start begins one step (the first gap) before its first point
+    const firstGapMs = store.length > 1 ? allTimes[1] - firstTime : 0;
+    const startTime = fromStart ? firstTime - (firstGapMs > 0 ? firstGapMs : TRADING_CONFIG.tickIntervalMs) : firstTime;
+    const elapsedMs = endTime - startTime;
+    const yearMs = daysPerYear * 86400000;
+    const inWindow = (isoTimestamp) => fromStart || Date.parse(isoTimestamp) > startTime;
+
+    // Equity and time of the baseline, then of every measured point
+    const points = store.length - (fromStart ? 0 : 1);
+    const intervalMs = points > 0 ? elapsedMs / points : TRADING_CONFIG.tickIntervalMs;
+    const measured = (field) => store.column(field).subarray(fromStart ? 0 : 1).reduce((a, b) => a + b, 0);
+    const equities = new Float64Array(points + 1);
+    const times = new Float64Array(points + 1);
+    equities[0] = base.equity;
+    times[0] = startTime;
+    equities.set(store.column('equity').subarray(fromStart ? 0 : 1), 1);
+    times.set(allTimes.subarray(fromStart ? 0 : 1), 1);
+
+    // Returns with the time each one spans; rates below are per ms
+    const returns = [];
+    const spans = [];
+    for (let i = 1; i < equities.length; i++) {
+        if (equities[i - 1] > 0) {
+            returns.push(equities[i] / equities[i - 1] - 1);
+            spans.push(times[i] - times[i - 1]);
+        }
     }
+    const spanMs = spans.reduce((a, b) => a + b, 0);
+    const rate = spanMs > 0 ? returns.reduce((a, b) => a + b, 0) / spanMs : 0;
+    const variance = returns.length > 1 && spanMs > 0
+        ? returns.reduce((sum, r, i) => sum + (r - rate * spans[i]) ** 2, 0) / spanMs
+            * returns.length / (returns.length - 1)
+        : 0;
+    const downside = spanMs > 0
+        ? returns.reduce((sum, r) => sum + Math.min(r, 0) ** 2, 0) / spanMs
+        : 0;
+    const annualizedReturn = rate * yearMs;
+    const volatility = Math.sqrt(variance * yearMs);
+    const downsideVolatility = Math.sqrt(downside * yearMs);
+
+    // Drawdown and time under water
+    let peak = equities[0];
+    let peakTime = times[0];
+    let underwaterSince = null;
+    let underwaterPoints = 0;
+    let longestUnderwaterMs = 0;
+    let drawdown = { max: 0, maxPct: 0, peakAt: null, troughAt: null, recoveredAt: null };
+    for (let i = 1; i < equities.length; i++) {
+        if (equities[i] >= peak) {
+            if (underwaterSince !== null) {
+                longestUnderwaterMs = Math.max(longestUnderwaterMs, times[i] - underwaterSince);
+                if (drawdown.peakAt === peakTime && drawdown.recoveredAt === null) {
+                    drawdown.recoveredAt = times[i];
+                }
+                underwaterSince = null;
+            }
+            peak = equities[i];
+            peakTime = times[i];
+            continue;
+        }
 
-    // Callbacks (to be set by UI controller)
-    onTick = null;
-    onTrade = null;
-    onCollapse = null;
+        underwaterPoints++;
+        if (underwaterSince === null) {
+            underwaterSince = peakTime;
+        }
+        if (peak - equities[i] > drawdown.max) {
+            drawdown = {
+                max: peak - equities[i],
+                maxPct: peak > 0 ? (peak - equities[i]) / peak : 0,
+                peakAt: peakTime,
+                troughAt: times[i],
+                recoveredAt: null
+            };
+        }
+    }
+    if (underwaterSince !== null) {
+        longestUnderwaterMs = Math.max(longestUnderwaterMs, endTime - underwaterSince);
+    }
+    const iso = (time) => time === null ? null : new Date(time).toISOString();
+
+    // Turnover and PnL split
+    const windowTrades = trades.filter(trade => trade.tick === undefined ? inWindow(trade.isoTimestamp) : trade.tick > base.tick);
+    const totals = fromStart && finalState && finalState.tradedNotional !== undefined
+        ? { count: finalState.tradedCount, notional: finalState.tradedNotional }
+        : {
+            count: windowTrades.length,
+            notional: windowTrades.reduce((sum, trade) => sum + trade.price * trade.size, 0)
+        };
+    const averageEquity = equities.reduce((a, b) => a + b, 0) / equities.length;
+    const totalPnL = last.equity - base.equity;
+    // Costs as PnL (negative when paid)
+    const fees = base.fees - last.fees;
+    const funding = (base.funding || 0) - (last.funding || 0);
+    const penalties = store.has(PNL_COMPONENTS.liquidation.field)
+        ? measured(PNL_COMPONENTS.liquidation.field)
+        : liquidations
+            .filter(liquidation => inWindow(liquidation.isoTimestamp))
+            .reduce((sum, liquidation) => sum - liquidation.penalty, 0);
+    const tradingPnL = totalPnL - fees - funding - penalties;
+    let spreadCapture = null;
+    if (store.has(PNL_COMPONENTS.spread.field)) {
+        spreadCapture = measured(PNL_COMPONENTS.spread.field);
+    } else if (windowTrades.every(trade => trade.mid !== undefined)) {
+        spreadCapture = windowTrades.reduce((sum, trade) =>
+            sum + (trade.side === 'LONG' ? 1 : -1) * (trade.mid - trade.price) * trade.size, 0);
+    }
+
+    // Collapses
+    const windowCollapses = collapses.filter(collapse => inWindow(collapse.isoTimestamp));
+    const collapsePnL = windowCollapses.reduce((sum, collapse) => sum + collapse.pnl, 0);
+
+    return {
+        generatedAt: new Date().toISOString(),
+        period: {
+            start: iso(startTime),
+            end: iso(endTime),
+            points: points,
+            elapsedSeconds: elapsedMs / 1000,
+            intervalSeconds: intervalMs / 1000,
+            fromStart: fromStart
+        },
+        annualization: { daysPerYear: daysPerYear, periodsPerYear: yearMs / intervalMs },
+        returns: {
+            startEquity: base.equity,
+            endEquity: last.equity,
+            total: totalPnL,
+            totalPct: base.equity > 0 ? totalPnL / base.equity : null,
+            annualized: annualizedReturn,
+            volatility: volatility,
+            sharpe: variance > 0 ? annualizedReturn / volatility : null,
+            sortino: downside > 0 ? annualizedReturn / downsideVolatility : null
+        },
+        drawdown: {
+            max: drawdown.max,
+            maxPct: drawdown.maxPct,
+            peakAt: iso(drawdown.peakAt),
+            troughAt: iso(drawdown.troughAt),
+            recoveredAt: iso(drawdown.recoveredAt),
+            // Peak to recovery, or to the end of the run if never recovered
+            durationSeconds: drawdown.peakAt === null
+                ? 0
+                : ((drawdown.recoveredAt !== null ? drawdown.recoveredAt : endTime) - drawdown.peakAt) / 1000,
+            longestUnderwaterSeconds: longestUnderwaterMs / 1000,
+            timeUnderWaterPct: points > 0 ? underwaterPoints / points : 0,
+            calmar: drawdown.maxPct > 0 ? annualizedReturn / drawdown.maxPct : null
+        },
+        turnover: {
+            trades: totals.count,
+            notional: totals.notional,
+            averageEquity: averageEquity,
+            ratio: averageEquity > 0 ? totals.notional / averageEquity : null,
+            perDay: averageEquity > 0 && elapsedMs > 0 ? totals.notional / averageEquity / (elapsedMs / 86400000) : null
+        },
+        pnl: {
+            total: totalPnL,
+            trading: tradingPnL,
+            spreadCapture: spreadCapture,
+            inventory: spreadCapture !== null ? tradingPnL - spreadCapture : null,
+            fees: fees,
+            funding: funding,
+            penalties: penalties
+        },
+        collapses: {
+            count: windowCollapses.length,
+            size: windowCollapses.reduce((sum, collapse) => sum + collapse.size, 0),
+            pnl: collapsePnL,
+            averagePnL: windowCollapses.length > 0 ? collapsePnL / windowCollapses.length : null,
+            winRate: windowCollapses.length > 0
+                ? windowCollapses.filter(collapse => collapse.pnl > 0).length / windowCollapses.length
+                : null,
+            fees: windowCollapses.reduce((sum, collapse) => sum + collapse.fee, 0),
+            averageIntervalSeconds: windowCollapses.length > 0 ? elapsedMs / 1000 / windowCollapses.length : null
+        }
+    };
+}
+
+/**
+ * Report sections as HTML tables (shared by the modal and the HTML export)
+ */
+function renderPerformanceReportSections(report) {
+    const dash = (format) => (value) => value === null || value === undefined ? '-' : format(value);
+    const usd = dash(value => `${value < 0 ? '-' : ''}$${Math.abs(value).toFixed(2)}`);
+    const pct = dash(value => (value * 100).toFixed(2) + '%');
+    const ratio = dash(value => value.toFixed(2));
+    const time = dash(value => value.replace('T', ' ').slice(0, 19));
+    const duration = dash(formatDuration);
+    const signed = (format) => (value) => {
+        const text = format(value);
+        return value > 0 ? `<span class="pnl-positive">${text}</span>`
+            : value < 0 ? `<span class="pnl-negative">${text}</span>` : text;
+    };
+    const { period, returns, drawdown, turnover, pnl, collapses } = report;
+
+    const sections = [
+        ['Period', [
+            ['Start', time(period.start)],
+            ['End', time(period.end)],
+            ['Length', duration(period.elapsedSeconds)],
+            ['Points', `${period.points}${period.fromStart ? '' : ' (capped history)'}`],
+            ['Annualization', `${report.annualization.daysPerYear} days/year`]
+        ]],
+        ['Returns', [
+            ['Start Equity', usd(returns.startEquity)],
+            ['End Equity', usd(returns.endEquity)],
+            ['Return', signed(usd)(returns.total)],
+            ['Return %', signed(pct)(returns.totalPct)],
+            ['Annualized', signed(pct)(returns.annualized)],
+            ['Volatility', pct(returns.volatility)],
+            ['Sharpe', ratio(returns.sharpe)],
+            ['Sortino', ratio(returns.sortino)]
+        ]],
+        ['Drawdown', [
+            ['Max Drawdown', usd(drawdown.max)],
+            ['Max Drawdown %', pct(drawdown.maxPct)],
+            ['Peak → Trough', `${time(drawdown.peakAt)} → ${time(drawdown.troughAt)}`],
+            ['Recovered', drawdown.peakAt === null ? '-' : drawdown.recoveredAt ? time(drawdown.recoveredAt) : 'not recovered'],
+            ['Duration', duration(drawdown.durationSeconds)],
+            ['Longest Under Water', duration(drawdown.longestUnderwaterSeconds)],
+            ['Time Under Water', pct(drawdown.timeUnderWaterPct)],
+            ['Calmar', ratio(drawdown.calmar)]
+        ]],
+        ['Turnover', [
+            ['Trades', turnover.trades],
+            ['Notional', usd(turnover.notional)],
+            ['Avg Equity', usd(turnover.averageEquity)],
+            ['Turnover', dash(value => value.toFixed(1) + '×')(turnover.ratio)],
+            ['Per Day', dash(value => value.toFixed(1) + '×')(turnover.perDay)]
+        ]],
+        ['PnL Split', [
+            ['Spread Capture', signed(usd)(pnl.spreadCapture)],
+            ['Inventory PnL', signed(usd)(pnl.inventory)],
+            ['Fees', signed(usd)(pnl.fees)],
+            ['Funding', signed(usd)(pnl.funding)],
+            ['Liq. Penalties', signed(usd)(pnl.penalties)],
+            ['Total', signed(usd)(pnl.total)]
+        ]],
+        ['Collapses', [
+            ['Count', collapses.count],
+            ['Size Netted', collapses.size.toFixed(6)],
+            ['PnL', signed(usd)(collapses.pnl)],
+            ['Avg PnL', signed(usd)(collapses.averagePnL)],
+            ['Win Rate', pct(collapses.winRate)],
+            ['Fees', usd(collapses.fees)],
+            ['Avg Interval', duration(collapses.averageIntervalSeconds)]
+        ]]
+    ];
+
+    return sections.map(([title, rows]) => `
+        <div class="report-card">
+            <h4>${title}</h4>
+            <table>
+                ${rows.map(([label, value]) => `<tr><td>${label}</td><td>${value}</td></tr>`).join('')}
+            </table>
+        </div>
+    `).join('');
+}
+
+/**
+ * Escape text for use inside HTML markup
+ */
+function escapeHTML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * The report as a standalone HTML page (inline styles, no scripts)
+ * The title may name a saved run, so it is escaped
+ */
+function renderPerformanceReportHTML(report, title = 'Performance Report') {
+    const heading = escapeHTML(title);
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${heading}</title>
+<style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; background: #0d1117; color: #e6edf3; margin: 2rem; }
+    h1 { font-size: 1.25rem; }
+    .generated { color: #8b949e; font-size: 0.8rem; }
+    .report-grid { display: grid; grid-template-columns: repeat(auto-fit, minmax(280px, 1fr)); gap: 1rem; margin-top: 1rem; }
+    .report-card { background: #161b22; border: 1px solid #30363d; border-radius: 8px; padding: 0.75rem 1rem; }
+    .report-card h4 { margin: 0 0 0.5rem; font-size: 0.8rem; text-transform: uppercase; color: #8b949e; }
+    table { width: 100%; border-collapse: collapse; font-size: 0.85rem; font-variant-numeric: tabular-nums; }
+    td { padding: 3px 0; border-bottom: 1px solid #21262d; }
+    td:last-child { text-align: right; }
+    .pnl-positive { color: #3fb950; }
+    .pnl-negative { color: #f85149; }
+</style>
+</head>
+<body>
+<h1>${heading}</h1>
+<div class="generated">Generated ${report.generatedAt}</div>
+<div class="report-grid">${renderPerformanceReportSections(report)}</div>
+</body>
+</html>
+`;
 }
 
 
 // ===========================================
-// 9. CHART MODULE
+// 18. CHART MODULE
 // ===========================================
 
+/**
+ * Data point fields holding ladder levels beyond the first
+ */
+const LADDER_FIELD = /^(bid|ask)\d+$/;
+
+/**
+ * Points per chart series after downsampling a history (see downsampleLTTB)
+ * Live series are downsampled again from the whole history once this many
+ * more points have been appended
+ */
+const CHART_MAX_POINTS = 2000;
+
+/**
+ * '#rrggbb' as an rgba() color with the given opacity
+ */
+function withAlpha(hex, alpha) {
+    const rgb = parseInt(hex.slice(1), 16);
+    return `rgba(${rgb >> 16}, ${(rgb >> 8) & 255}, ${rgb & 255}, ${alpha})`;
+}
+
 /**
  * Manages all charts using Lightweight Charts library
  */
@@ -1020,6 +5975,17 @@ class ChartManager {
         this.pnlChart = null;
         this.realizedSeries = null;
         this.unrealizedSeries = null;
+
+        this.volatilityChart = null;
+        this.estimatorSeries = {};  // one line per VOLATILITY_ESTIMATORS entry
+
+        this.attributionChart = null;
+        this.attributionSeries = {};    // one stacked area per PNL_COMPONENTS entry
+        this.attributionTotals = {};    // cumulative PnL by component since the first plotted point
+
+        this.levelSeries = {};      // Ladder levels beyond the first, by field (bid2, ask2, ...)
+        this.markers = [];          // Liquidation markers on the price series
+        this.appendedPoints = 0;    // Points added by update() since the last setHistory
         
         this.chartOptions = {
             layout: {
@@ -1051,6 +6017,8 @@ class ChartManager {
         this.initPriceChart();
         this.initEquityChart();
         this.initPnLChart();
+        this.initAttributionChart();
+        this.initVolatilityChart();
     }
 
     /**
@@ -1097,6 +6065,22 @@ class ChartManager {
         });
     }
 
+    /**
+     * Line for a ladder level field (bid2, ask3, ...), created on first use
+     */
+    getLevelSeries(field) {
+        if (!this.levelSeries[field] && this.priceChart) {
+            this.levelSeries[field] = this.priceChart.addLineSeries({
+                color: field.startsWith('bid') ? 'rgba(63, 185, 80, 0.5)' : 'rgba(248, 81, 73, 0.5)',
+                lineWidth: 1,
+                lineStyle: LightweightCharts.LineStyle.Dotted,
+                lastValueVisible: false,
+                priceLineVisible: false
+            });
+        }
+        return this.levelSeries[field];
+    }
+
     /**
      * Initialize equity curve chart
      */
@@ -1157,11 +6141,105 @@ class ChartManager {
         });
     }
 
+    /**
+     * Initialize PnL attribution chart: cumulative PnL by component, stacked
+     * in PNL_COMPONENTS order so the outermost line is the total
+     */
+    initAttributionChart() {
+        const container = document.getElementById('attribution-chart');
+        if (!container) return;
+
+        this.attributionChart = LightweightCharts.createChart(container, {
+            ...this.chartOptions,
+            width: container.clientWidth,
+            height: 250
+        });
+
+        // Outermost first, so each inner band is drawn over the one outside it
+        Object.entries(PNL_COMPONENTS).reverse().forEach(([name, component]) => {
+            this.attributionSeries[name] = this.attributionChart.addAreaSeries({
+                topColor: withAlpha(component.color, 0.4),
+                bottomColor: withAlpha(component.color, 0.05),
+                lineColor: component.color,
+                lineWidth: 1,
+                title: component.label
+            });
+        });
+
+        window.addEventListener('resize', () => {
+            if (this.attributionChart) {
+                this.attributionChart.applyOptions({ width: container.clientWidth });
+            }
+        });
+    }
+
+    /**
+     * Add a data point's attribution to the running totals and return the
+     * stacked level of each component (sum of the totals up to it)
+     */
+    stackAttribution(dataPoint) {
+        const levels = {};
+        let level = 0;
+        for (const [name, component] of Object.entries(PNL_COMPONENTS)) {
+            this.attributionTotals[name] = (this.attributionTotals[name] || 0) + dataPoint[component.field];
+            level += this.attributionTotals[name];
+            levels[name] = level;
+        }
+        return levels;
+    }
+
+    /**
+     * Initialize volatility chart: every estimator side by side, plus the
+     * base spread they drive
+     */
+    initVolatilityChart() {
+        const container = document.getElementById('volatility-chart');
+        if (!container) return;
+
+        this.volatilityChart = LightweightCharts.createChart(container, {
+            ...this.chartOptions,
+            width: container.clientWidth,
+            height: 250
+        });
+
+        const colors = ['#58a6ff', '#a371f7', '#3fb950', '#d29922', '#f85149', '#db61a2'];
+        Object.entries(VOLATILITY_ESTIMATORS).forEach(([name, estimator], i) => {
+            this.estimatorSeries[name] = this.volatilityChart.addLineSeries({
+                color: colors[i % colors.length],
+                lineWidth: 1,
+                title: estimator.label
+            });
+        });
+
+        this.baseSpreadSeries = this.volatilityChart.addLineSeries({
+            color: '#8b949e',
+            lineWidth: 1,
+            lineStyle: LightweightCharts.LineStyle.Dashed,
+            title: 'Base Spread'
+        });
+
+        window.addEventListener('resize', () => {
+            if (this.volatilityChart) {
+                this.volatilityChart.applyOptions({ width: container.clientWidth });
+            }
+        });
+    }
+
+    /**
+     * Draw the estimator that drives quotes thicker than the rest
+     */
+    setActiveEstimator(active) {
+        for (const [name, series] of Object.entries(this.estimatorSeries)) {
+            series.applyOptions({ lineWidth: name === active ? 3 : 1 });
+        }
+    }
+
     /**
      * Update charts with new data point
      */
     update(dataPoint) {
         const time = Math.floor(new Date(dataPoint.timestamp).getTime() / 1000);
+        this.appendedPoints++;
 
         if (this.priceSeries) {
             this.priceSeries.update({ time, value: dataPoint.mid });
@@ -1172,6 +6250,10 @@ class ChartManager {
         if (this.askSeries) {
             this.askSeries.update({ time, value: dataPoint.ask });
         }
+        for (const field of Object.keys(dataPoint).filter(key => LADDER_FIELD.test(key))) {
+            const series = this.getLevelSeries(field);
+            if (series) series.update({ time, value: dataPoint[field] });
+        }
         if (this.equitySeries) {
             this.equitySeries.update({ time, value: dataPoint.equity });
         }
@@ -1181,34 +6263,176 @@ class ChartManager {
         if (this.unrealizedSeries) {
             this.unrealizedSeries.update({ time, value: dataPoint.unrealizedPnL });
         }
+        for (const [name, series] of Object.entries(this.estimatorSeries)) {
+            // Runs recorded before estimators have no values to plot
+            const value = dataPoint[VOLATILITY_ESTIMATORS[name].field];
+            if (value !== undefined) {
+                series.update({ time, value });
+            }
+        }
+        if (this.baseSpreadSeries) {
+            this.baseSpreadSeries.update({ time, value: dataPoint.baseSpread });
+        }
+        // Runs recorded before PnL attribution have none to plot
+        if (this.attributionChart && dataPoint.pnlSpread !== undefined) {
+            const levels = this.stackAttribution(dataPoint);
+            for (const [name, series] of Object.entries(this.attributionSeries)) {
+                series.update({ time, value: levels[name] });
+            }
+        }
+    }
+
+    /**
+     * Whether live updates have added enough points to downsample again
+     */
+    needsDownsample() {
+        return this.appendedPoints >= CHART_MAX_POINTS;
+    }
+
+    /**
+     * Replace all chart data with a history: a HistoryStore, or a portfolio
+     * asset's view of one (PortfolioEngine.focusHistory)
+     * Each series is downsampled to CHART_MAX_POINTS; fields a point
+     * didn't record (older runs) are left out
+     */
+    setHistory(history) {
+        const times = history.column('timestamp').map(ms => Math.floor(ms / 1000));
+        const sample = (values) => downsampleLTTB(times, values, CHART_MAX_POINTS)
+            .map(i => ({ time: times[i], value: values[i] }));
+        const series = (key) => sample(history.column(key));
+
+        if (this.priceSeries) this.priceSeries.setData(series('mid'));
+        if (this.bidSeries) this.bidSeries.setData(series('bid'));
+        if (this.askSeries) this.askSeries.setData(series('ask'));
+        Object.values(this.levelSeries).forEach(line => line.setData([]));
+        for (const field of history.fields().filter(key => LADDER_FIELD.test(key))) {
+            const line = this.getLevelSeries(field);
+            if (line) line.setData(series(field));
+        }
+        if (this.equitySeries) this.equitySeries.setData(series('equity'));
+        if (this.realizedSeries) this.realizedSeries.setData(series('realizedPnL'));
+        if (this.unrealizedSeries) this.unrealizedSeries.setData(series('unrealizedPnL'));
+        for (const [name, line] of Object.entries(this.estimatorSeries)) {
+            line.setData(series(VOLATILITY_ESTIMATORS[name].field));
+        }
+        if (this.baseSpreadSeries) this.baseSpreadSeries.setData(series('baseSpread'));
+
+        // Stacked cumulative attribution, each level on top of the ones before
+        this.attributionTotals = {};
+        const stacked = new Float64Array(history.length);
+        for (const [name, component] of Object.entries(PNL_COMPONENTS)) {
+            const values = history.column(component.field);
+            let total = 0;
+            for (let i = 0; i < values.length; i++) {
+                total += values[i];
+                stacked[i] += total;
+            }
+            this.attributionTotals[name] = total;
+            if (this.attributionSeries[name]) {
+                this.attributionSeries[name].setData(sample(stacked));
+            }
+        }
+
+        this.appendedPoints = 0;
+    }
+
+    /**
+     * Mark a liquidation on the price chart
+     */
+    addLiquidationMarker(liquidation) {
+        if (!this.priceSeries) return;
+
+        this.markers.push({
+            time: Math.floor(new Date(liquidation.isoTimestamp).getTime() / 1000),
+            position: 'aboveBar',
+            color: '#f85149',
+            shape: 'arrowDown',
+            text: liquidation.type === 'FULL' ? 'LIQ' : 'PARTIAL LIQ'
+        });
+        this.priceSeries.setMarkers(this.markers);
     }
 
     /**
      * Clear all chart data
      */
     clear() {
-        if (this.priceSeries) this.priceSeries.setData([]);
+        this.markers = [];
+        if (this.priceSeries) {
+            this.priceSeries.setData([]);
+            this.priceSeries.setMarkers([]);
+        }
         if (this.bidSeries) this.bidSeries.setData([]);
         if (this.askSeries) this.askSeries.setData([]);
+        Object.values(this.levelSeries).forEach(series => series.setData([]));
         if (this.equitySeries) this.equitySeries.setData([]);
         if (this.realizedSeries) this.realizedSeries.setData([]);
         if (this.unrealizedSeries) this.unrealizedSeries.setData([]);
+        Object.values(this.estimatorSeries).forEach(series => series.setData([]));
+        if (this.baseSpreadSeries) this.baseSpreadSeries.setData([]);
+        this.attributionTotals = {};
+        Object.values(this.attributionSeries).forEach(series => series.setData([]));
+        this.appendedPoints = 0;
     }
 }
 
 
 // ===========================================
-// 10. UI CONTROLLER MODULE
+// 19. UI CONTROLLER MODULE
 // ===========================================
 
+/**
+ * Wall-clock ms between trade analytics refreshes while running
+ * (analyzeTrades walks the whole trade log)
+ */
+const ANALYTICS_REFRESH_MS = 2000;
+
+/**
+ * Gzip text and base64-encode the result (see SAVED_RUN_STORAGE)
+ */
+async function compressText(text) {
+    const stream = new Blob([text]).stream().pipeThrough(new CompressionStream('gzip'));
+    const bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+    // btoa takes a binary string; build it in slices to keep argument lists short
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+/**
+ * Text back from compressText's output
+ */
+async function decompressText(data) {
+    const binary = atob(data);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('gzip'));
+    return new Response(stream).text();
+}
+
 /**
  * Manages all UI interactions and updates
  */
 class UIController {
-    constructor(engine, charts) {
+    /**
+     * `engine` is the active engine: the single-asset one, or the
+     * portfolio while portfolio mode is on
+     */
+    constructor(engine, charts, portfolio) {
         this.engine = engine;
+        this.singleEngine = engine;
+        this.portfolioEngine = portfolio;
+        this.portfolioMode = false;
         this.charts = charts;
         this.elements = {};
+        this.viewingRun = null;    // Label of a saved run shown read-only
+        this.viewingNote = '';     // Extra status text for the shown run (e.g. replay result)
+        this.lastAnalyticsRender = 0;
+        this.shownRun = null;      // Payload of the shown saved run, for the report
+        this.report = null;        // Report open in the report modal
         
         this.cacheElements();
         this.bindEvents();
@@ -1222,6 +6446,7 @@ class UIController {
         // Mode buttons
         this.elements.btnSimulation = document.getElementById('btn-simulation');
         this.elements.btnLive = document.getElementById('btn-live');
+        this.elements.btnHistorical = document.getElementById('btn-historical');
         
         // Control buttons
         this.elements.btnStart = document.getElementById('btn-start');
@@ -1229,31 +6454,89 @@ class UIController {
         this.elements.btnReset = document.getElementById('btn-reset');
         this.elements.btnCSV = document.getElementById('btn-csv');
         this.elements.btnJSON = document.getElementById('btn-json');
+        this.elements.btnSave = document.getElementById('btn-save');
+        this.elements.btnReplay = document.getElementById('btn-replay');
+        this.elements.replayFile = document.getElementById('replay-file');
+        this.elements.btnReport = document.getElementById('btn-report');
+
+        // Performance report modal
+        this.elements.reportModal = document.getElementById('report-modal');
+        this.elements.reportAnnualization = document.getElementById('report-annualization');
+        this.elements.reportBody = document.getElementById('report-body');
+        this.elements.btnReportJSON = document.getElementById('btn-report-json');
+        this.elements.btnReportHTML = document.getElementById('btn-report-html');
+        this.elements.btnReportClose = document.getElementById('btn-report-close');
         
         // Inputs
         this.elements.assetSelector = document.getElementById('asset-selector');
+        this.elements.portfolioMode = document.getElementById('portfolio-mode');
+        this.elements.portfolioAssets = document.getElementById('portfolio-assets');
         this.elements.initialBalance = document.getElementById('initial-balance');
         this.elements.paramKvol = document.getElementById('param-kvol');
         this.elements.paramKpos = document.getElementById('param-kpos');
         this.elements.paramTicksize = document.getElementById('param-ticksize');
         this.elements.paramMaxpos = document.getElementById('param-maxpos');
         this.elements.volatilityRegime = document.getElementById('volatility-regime');
+        this.elements.paramAnnualVol = document.getElementById('param-annual-vol');
+        this.elements.correlationInputs = document.getElementById('correlation-inputs');
+        this.elements.priceModel = document.getElementById('price-model');
+        this.elements.priceModelParams = document.getElementById('price-model-params');
         this.elements.paramDrift = document.getElementById('param-drift');
         this.elements.paramAtrLength = document.getElementById('param-atr-length');
+        this.elements.paramCandleDuration = document.getElementById('param-candle-duration');
+        this.elements.paramCandleHistory = document.getElementById('param-candle-history');
         this.elements.paramSeed = document.getElementById('param-seed');
+        this.elements.fillModel = document.getElementById('fill-model');
+        this.elements.positionMode = document.getElementById('position-mode');
+        this.elements.collapsePolicy = document.getElementById('collapse-policy');
+        this.elements.collapsePolicyParams = document.getElementById('collapse-policy-params');
+        this.elements.feeTier = document.getElementById('fee-tier');
+        this.elements.paramFundingRate = document.getElementById('param-funding-rate');
+        this.elements.paramFundingInterval = document.getElementById('param-funding-interval');
+        this.elements.paramFundingAmplitude = document.getElementById('param-funding-amplitude');
+        this.elements.liquidationMode = document.getElementById('liquidation-mode');
+        this.elements.paramMmr = document.getElementById('param-mmr');
+        this.elements.paramLiqFraction = document.getElementById('param-liq-fraction');
+        this.elements.paramLiqPenalty = document.getElementById('param-liq-penalty');
+        this.elements.riskLimits = document.getElementById('risk-limits');
+        this.elements.paramMaxNet = document.getElementById('param-max-net');
+        this.elements.paramMaxGross = document.getElementById('param-max-gross');
+        this.elements.paramMaxLoss = document.getElementById('param-max-loss');
+        this.elements.paramMaxDrawdown = document.getElementById('param-max-drawdown');
+        this.elements.fillModelParams = document.getElementById('fill-model-params');
+        this.elements.paramInformedShare = document.getElementById('param-informed-share');
+        this.elements.paramInformedMove = document.getElementById('param-informed-move');
+        this.elements.paramMarkoutHorizon = document.getElementById('param-markout-horizon');
+        this.elements.quotingStrategy = document.getElementById('quoting-strategy');
+        this.elements.quotingStrategyParams = document.getElementById('quoting-strategy-params');
+        this.elements.paramLadderLevels = document.getElementById('param-ladder-levels');
+        this.elements.ladderSpacing = document.getElementById('ladder-spacing');
+        this.elements.paramLadderStep = document.getElementById('param-ladder-step');
+        this.elements.ladderSizeRule = document.getElementById('ladder-size-rule');
+        this.elements.paramLadderRatio = document.getElementById('param-ladder-ratio');
+        this.elements.paramLadderInventorySkew = document.getElementById('param-ladder-inventory-skew');
+        this.elements.paramLadderWalk = document.getElementById('param-ladder-walk');
+        this.elements.volatilityEstimator = document.getElementById('volatility-estimator');
+        this.elements.volatilityEstimatorParams = document.getElementById('volatility-estimator-params');
+        this.elements.marketDataSource = document.getElementById('market-data-source');
+        this.elements.paramPauseAfter = document.getElementById('param-pause-after');
+        this.elements.btnLoadHistorical = document.getElementById('btn-load-historical');
+        this.elements.historicalFile = document.getElementById('historical-file');
+        this.elements.historicalInfo = document.getElementById('historical-info');
+        this.elements.historicalSpeed = document.getElementById('historical-speed');
         
         // Metrics - Account
         this.elements.metricBalance = document.getElementById('metric-balance');
         this.elements.metricEquity = document.getElementById('metric-equity');
         this.elements.metricUnrealizedPnl = document.getElementById('metric-unrealized-pnl');
         this.elements.metricRealizedPnl = document.getElementById('metric-realized-pnl');
+        this.elements.metricFees = document.getElementById('metric-fees');
+        this.elements.metricFunding = document.getElementById('metric-funding');
         
         // Metrics - Market
         this.elements.metricMid = document.getElementById('metric-mid');
-        this.elements.metricBid = document.getElementById('metric-bid');
-        this.elements.metricAsk = document.getElementById('metric-ask');
-        this.elements.metricBidSize = document.getElementById('metric-bid-size');
-        this.elements.metricAskSize = document.getElementById('metric-ask-size');
+        this.elements.depthAsks = document.getElementById('depth-asks');
+        this.elements.depthBids = document.getElementById('depth-bids');
         this.elements.metricSpread = document.getElementById('metric-spread');
         this.elements.metricAtr = document.getElementById('metric-atr');
         this.elements.metricBaseSpread = document.getElementById('metric-base-spread');
@@ -1273,12 +6556,48 @@ class UIController {
         this.elements.collapsesTbody = document.getElementById('collapses-tbody');
         this.elements.tradeCount = document.getElementById('trade-count');
         this.elements.collapseCount = document.getElementById('collapse-count');
+        this.elements.liquidationsTbody = document.getElementById('liquidations-tbody');
+        this.elements.liquidationCount = document.getElementById('liquidation-count');
+        this.elements.riskEventsTbody = document.getElementById('risk-events-tbody');
+        this.elements.riskEventCount = document.getElementById('risk-event-count');
+        this.elements.markoutsTbody = document.getElementById('markouts-tbody');
+
+        // Trade analytics
+        this.elements.analyticsSummary = document.getElementById('analytics-summary');
+        this.elements.analyticsTbody = document.getElementById('analytics-tbody');
+        this.elements.edgeHistogram = document.getElementById('edge-histogram');
+        this.elements.markoutHistogram = document.getElementById('markout-histogram');
+        this.elements.markoutHistogramTitle = document.getElementById('markout-histogram-title');
+
+        // Portfolio breakdown
+        this.elements.portfolioTbody = document.getElementById('portfolio-tbody');
+        this.elements.portfolioSummary = document.getElementById('portfolio-summary');
         
         // Status bar
         this.elements.statusMode = document.getElementById('status-mode');
         this.elements.statusAsset = document.getElementById('status-asset');
         this.elements.statusRunning = document.getElementById('status-running');
         this.elements.statusTick = document.getElementById('status-tick');
+        this.elements.statusFeed = document.getElementById('status-feed');
+        this.elements.statusView = document.getElementById('status-view');
+
+        // Saved runs
+        this.elements.btnRefreshRuns = document.getElementById('btn-refresh-runs');
+        this.elements.savedRunsTbody = document.getElementById('saved-runs-tbody');
+        this.elements.savedRunCount = document.getElementById('saved-run-count');
+
+        // Parameter sweep
+        this.elements.sweepXParam = document.getElementById('sweep-x-param');
+        this.elements.sweepXValues = document.getElementById('sweep-x-values');
+        this.elements.sweepYParam = document.getElementById('sweep-y-param');
+        this.elements.sweepYValues = document.getElementById('sweep-y-values');
+        this.elements.sweepSeeds = document.getElementById('sweep-seeds');
+        this.elements.sweepTicks = document.getElementById('sweep-ticks');
+        this.elements.sweepMetric = document.getElementById('sweep-metric');
+        this.elements.btnSweep = document.getElementById('btn-sweep');
+        this.elements.sweepProgress = document.getElementById('sweep-progress');
+        this.elements.sweepHeatmap = document.getElementById('sweep-heatmap');
+        this.elements.sweepTbody = document.getElementById('sweep-tbody');
     }
 
     /**
@@ -1288,6 +6607,7 @@ class UIController {
         // Mode toggle
         this.elements.btnSimulation.addEventListener('click', () => this.setMode('simulation'));
         this.elements.btnLive.addEventListener('click', () => this.setMode('live'));
+        this.elements.btnHistorical.addEventListener('click', () => this.setMode('historical'));
         
         // Control buttons
         this.elements.btnStart.addEventListener('click', () => this.start());
@@ -1295,32 +6615,157 @@ class UIController {
         this.elements.btnReset.addEventListener('click', () => this.reset());
         this.elements.btnCSV.addEventListener('click', () => this.downloadCSV());
         this.elements.btnJSON.addEventListener('click', () => this.downloadJSON());
+        this.elements.btnSave.addEventListener('click', () => this.saveRun());
+        this.elements.btnReplay.addEventListener('click', () => this.elements.replayFile.click());
+        this.elements.replayFile.addEventListener('change', (e) => {
+            if (e.target.files.length > 0) {
+                this.importAndReplay(e.target.files[0]);
+            }
+            e.target.value = '';
+        });
+        this.elements.btnSweep.addEventListener('click', () => this.runSweep());
+        this.elements.btnReport.addEventListener('click', () => this.openReport());
+        this.elements.reportAnnualization.addEventListener('change', () => this.openReport());
+        this.elements.btnReportJSON.addEventListener('click', () =>
+            this.downloadFile(JSON.stringify(this.report, null, 2), 'application/json', 'report.json'));
+        this.elements.btnReportHTML.addEventListener('click', () =>
+            this.downloadFile(renderPerformanceReportHTML(this.report, this.getReportTitle()), 'text/html', 'report.html'));
+        this.elements.btnReportClose.addEventListener('click', () => this.closeReport());
+        this.elements.reportModal.addEventListener('click', (e) => {
+            if (e.target === this.elements.reportModal) {
+                this.closeReport();
+            }
+        });
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && !this.elements.reportModal.hidden) {
+                this.closeReport();
+            }
+        });
+        this.elements.marketDataSource.addEventListener('change', (e) => {
+            this.engine.setMarketDataSource(e.target.value);
+            this.updateStatusBar();
+        });
+        this.elements.btnLoadHistorical.addEventListener('click', () => this.elements.historicalFile.click());
+        this.elements.historicalFile.addEventListener('change', (e) => {
+            if (e.target.files.length > 0) {
+                this.loadHistoricalData(e.target.files[0]);
+            }
+            e.target.value = '';
+        });
+        this.elements.historicalSpeed.addEventListener('change', () => {
+            this.singleEngine.setHistoricalSpeed(this.readHistoricalSpeed());
+        });
+
+        // Saved runs
+        this.elements.btnRefreshRuns.addEventListener('click', () => this.refreshSavedRuns());
+        this.elements.savedRunsTbody.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-run-id]');
+            if (button) {
+                this.loadSavedRun(button.dataset.runId);
+            }
+        });
         
         // Asset selector
         this.elements.assetSelector.addEventListener('change', (e) => this.changeAsset(e.target.value));
+        this.elements.portfolioMode.addEventListener('change', (e) => this.setPortfolioMode(e.target.checked));
+        this.elements.portfolioAssets.addEventListener('change', (e) => this.updatePortfolioAssets(e.target));
+        this.elements.correlationInputs.addEventListener('change', () => this.updateCorrelations());
+        this.elements.portfolioTbody.addEventListener('click', (e) => {
+            const row = e.target.closest('tr[data-asset]');
+            if (row) {
+                this.elements.assetSelector.value = row.dataset.asset;
+                this.changeAsset(row.dataset.asset);
+            }
+        });
         
         // Parameter inputs
         this.elements.paramKvol.addEventListener('change', () => this.updateParams());
         this.elements.paramKpos.addEventListener('change', () => this.updateParams());
         this.elements.paramTicksize.addEventListener('change', () => this.updateParams());
         this.elements.paramMaxpos.addEventListener('change', () => this.updateParams());
+        this.elements.paramAnnualVol.addEventListener('change', () => this.updateParams());
         this.elements.volatilityRegime.addEventListener('change', (e) => {
             this.engine.setVolatilityRegime(e.target.value);
         });
         this.elements.paramDrift.addEventListener('change', (e) => {
             this.engine.setDrift(parseFloat(e.target.value) || 0);
         });
+        this.elements.priceModel.addEventListener('change', (e) => {
+            this.renderParamInputs(this.elements.priceModelParams, PRICE_MODELS[e.target.value].params);
+            this.updateParams();
+        });
+        this.elements.priceModelParams.addEventListener('change', () => this.updateParams());
         this.elements.paramAtrLength.addEventListener('change', (e) => {
             this.engine.setATRLength(parseInt(e.target.value) || 20);
         });
+        this.elements.paramCandleDuration.addEventListener('change', () => this.updateParams());
+        this.elements.paramCandleHistory.addEventListener('change', () => this.updateParams());
         this.elements.paramSeed.addEventListener('change', (e) => {
             this.engine.setSeed(parseInt(e.target.value) || 12345);
         });
+        this.elements.fillModel.addEventListener('change', (e) => {
+            this.renderParamInputs(this.elements.fillModelParams, FILL_MODELS[e.target.value].params);
+            this.updateParams();
+        });
+        this.elements.fillModelParams.addEventListener('change', () => this.updateParams());
+        [
+            this.elements.paramInformedShare,
+            this.elements.paramInformedMove,
+            this.elements.paramMarkoutHorizon
+        ].forEach(el => el.addEventListener('change', () => this.updateParams()));
+        this.elements.quotingStrategy.addEventListener('change', (e) => {
+            this.renderParamInputs(this.elements.quotingStrategyParams, QUOTING_STRATEGIES[e.target.value].params);
+            this.updateParams();
+        });
+        this.elements.quotingStrategyParams.addEventListener('change', () => this.updateParams());
+        [
+            this.elements.paramLadderLevels,
+            this.elements.ladderSpacing,
+            this.elements.paramLadderStep,
+            this.elements.ladderSizeRule,
+            this.elements.paramLadderRatio,
+            this.elements.paramLadderInventorySkew,
+            this.elements.paramLadderWalk
+        ].forEach(el => el.addEventListener('change', () => this.updateParams()));
+        this.elements.volatilityEstimator.addEventListener('change', (e) => {
+            this.renderParamInputs(this.elements.volatilityEstimatorParams, VOLATILITY_ESTIMATORS[e.target.value].params);
+            this.updateParams();
+        });
+        this.elements.volatilityEstimatorParams.addEventListener('change', () => this.updateParams());
+        this.elements.positionMode.addEventListener('change', () => this.updateParams());
+        this.elements.collapsePolicy.addEventListener('change', (e) => {
+            this.renderParamInputs(this.elements.collapsePolicyParams, COLLAPSE_POLICIES[e.target.value].params);
+            this.updateParams();
+        });
+        this.elements.collapsePolicyParams.addEventListener('change', () => this.updateParams());
+        this.elements.feeTier.addEventListener('change', () => this.updateParams());
+        this.elements.paramFundingRate.addEventListener('change', () => this.updateParams());
+        this.elements.paramFundingInterval.addEventListener('change', () => this.updateParams());
+        this.elements.paramFundingAmplitude.addEventListener('change', () => this.updateParams());
+        this.elements.liquidationMode.addEventListener('change', () => this.updateParams());
+        this.elements.paramMmr.addEventListener('change', () => this.updateParams());
+        this.elements.paramLiqFraction.addEventListener('change', () => this.updateParams());
+        this.elements.paramLiqPenalty.addEventListener('change', () => this.updateParams());
+        [
+            this.elements.riskLimits,
+            this.elements.paramMaxNet,
+            this.elements.paramMaxGross,
+            this.elements.paramMaxLoss,
+            this.elements.paramMaxDrawdown
+        ].forEach(el => el.addEventListener('change', () => this.updateParams()));
+        this.elements.paramPauseAfter.addEventListener('change', () => this.updateParams());
 
         // Engine callbacks
-        this.engine.onTick = (dataPoint) => this.handleTick(dataPoint);
-        this.engine.onTrade = (trade) => this.handleTrade(trade);
-        this.engine.onCollapse = (collapse) => this.handleCollapse(collapse);
+        for (const engine of [this.singleEngine, this.portfolioEngine]) {
+            engine.onTick = (dataPoint) => this.handleTick(dataPoint);
+            engine.onTrade = (trade) => this.handleTrade(trade);
+            engine.onCollapse = (collapse) => this.handleCollapse(collapse);
+            engine.onLiquidation = (liquidation) => this.handleLiquidation(liquidation);
+            engine.onRiskEvent = (event) => this.handleRiskEvent(event);
+            engine.onHalt = (event) => this.handleHalt(event);
+            engine.onFeedHealth = (health) => this.updateFeedHealth(health);
+        }
+        this.singleEngine.onHistoricalEnd = () => this.stop();
     }
 
     /**
@@ -1330,32 +6775,101 @@ class UIController {
         this.engine.setAsset('BTC');
         this.engine.setMode('simulation');
         this.updateAssetParams('BTC');
+        this.renderParamInputs(this.elements.fillModelParams, FILL_MODELS[this.elements.fillModel.value].params);
+        this.renderParamInputs(
+            this.elements.quotingStrategyParams,
+            QUOTING_STRATEGIES[this.elements.quotingStrategy.value].params
+        );
+        this.renderParamInputs(
+            this.elements.volatilityEstimatorParams,
+            VOLATILITY_ESTIMATORS[this.elements.volatilityEstimator.value].params
+        );
+        this.renderParamInputs(
+            this.elements.collapsePolicyParams,
+            COLLAPSE_POLICIES[this.elements.collapsePolicy.value].params
+        );
+        this.renderParamInputs(this.elements.priceModelParams, PRICE_MODELS[this.elements.priceModel.value].params);
         this.updateStatusBar();
+        this.refreshSavedRuns();
     }
 
     /**
-     * Switch between simulation and live mode
+     * Switch between simulation, live and historical mode
      */
     setMode(mode) {
         if (this.engine.isRunning) {
             alert('Please stop the simulation first');
             return;
         }
+        if (mode === 'historical' && this.portfolioMode) {
+            alert('Historical data replays a single asset; turn off portfolio mode first');
+            return;
+        }
 
+        const previous = this.engine.mode;
         this.engine.setMode(mode);
         
         this.elements.btnSimulation.classList.toggle('active', mode === 'simulation');
         this.elements.btnLive.classList.toggle('active', mode === 'live');
+        this.elements.btnHistorical.classList.toggle('active', mode === 'historical');
         
         document.body.classList.toggle('live-mode', mode === 'live');
+        document.body.classList.toggle('historical-mode', mode === 'historical');
+
+        // Historical time can't continue a simulated or live run, or vice versa
+        if (mode !== previous && (mode === 'historical' || previous === 'historical')) {
+            this.reset();
+        }
         
         this.updateStatusBar();
     }
 
+    /**
+     * Load a historical CSV/JSON file for historical mode
+     */
+    async loadHistoricalData(file) {
+        if (this.engine.isRunning) {
+            alert('Please stop the simulation first');
+            return;
+        }
+
+        try {
+            const data = parseHistoricalData(await file.text(), file.name);
+            this.singleEngine.setHistoricalData(data);
+
+            const info = this.singleEngine.historicalFeed.describe();
+            const start = new Date(info.startTime).toISOString().slice(0, 16).replace('T', ' ');
+            const end = new Date(info.endTime).toISOString().slice(0, 16).replace('T', ' ');
+            this.elements.historicalInfo.textContent =
+                `${file.name}: ${info.records.toLocaleString()} ${info.kind}, ${start} → ${end} UTC`;
+
+            if (this.engine.mode === 'historical') {
+                this.reset();
+            }
+        } catch (error) {
+            console.error('Error loading historical data:', error);
+            alert('Failed to load historical data: ' + error.message);
+        }
+    }
+
+    /**
+     * Replay speed from the selector (historical ms per wall-clock ms)
+     */
+    readHistoricalSpeed() {
+        const value = this.elements.historicalSpeed.value;
+        return value === 'max' ? Infinity : parseFloat(value) || 1;
+    }
+
     /**
      * Change trading asset
+     * In portfolio mode this only changes which asset is shown
      */
     changeAsset(asset) {
+        if (this.portfolioMode) {
+            this.focusAsset(asset);
+            return;
+        }
+
         if (this.engine.isRunning) {
             alert('Please stop the simulation first');
             return;
@@ -1367,15 +6881,146 @@ class UIController {
         this.updateStatusBar();
     }
 
+    /**
+     * Switch between single-asset and portfolio mode
+     */
+    setPortfolioMode(enabled) {
+        if (this.engine.isRunning) {
+            alert('Please stop the simulation first');
+            this.elements.portfolioMode.checked = this.portfolioMode;
+            return;
+        }
+        if (enabled && this.engine.mode === 'historical') {
+            alert('Historical data replays a single asset; switch to Simulation or Live first');
+            this.elements.portfolioMode.checked = false;
+            return;
+        }
+
+        const mode = this.engine.mode;
+        this.portfolioMode = enabled;
+        this.engine = enabled ? this.portfolioEngine : this.singleEngine;
+        this.engine.setMode(mode);
+        // Controls only reach the active engine; bring the other one in line
+        this.engine.setSeed(parseInt(this.elements.paramSeed.value) || 12345);
+        this.engine.setATRLength(parseInt(this.elements.paramAtrLength.value) || 20);
+        this.engine.setMarketDataSource(this.elements.marketDataSource.value);
+
+        if (enabled) {
+            this.updatePortfolioAssets();
+        } else {
+            this.engine.setAsset(this.elements.assetSelector.value);
+            this.updateAssetParams(this.engine.asset);
+            this.reset();
+        }
+    }
+
+    /**
+     * Apply the ticked portfolio assets
+     * `changed` is the checkbox just toggled (re-ticked if it was the last one)
+     */
+    updatePortfolioAssets(changed = null) {
+        const assets = [...this.elements.portfolioAssets.querySelectorAll('input:checked')].map(input => input.value);
+        if (assets.length === 0) {
+            alert('Please select at least one asset');
+            if (changed) changed.checked = true;
+            return;
+        }
+        if (this.engine.isRunning) {
+            alert('Please stop the simulation first');
+            if (changed) changed.checked = !changed.checked;
+            return;
+        }
+
+        try {
+            this.portfolioEngine.setAssets(assets);
+        } catch (error) {
+            alert(error.message);
+            if (changed) changed.checked = !changed.checked;
+            return;
+        }
+        if (assets.includes(this.elements.assetSelector.value)) {
+            this.portfolioEngine.setAsset(this.elements.assetSelector.value);
+        }
+        this.elements.assetSelector.value = this.portfolioEngine.asset;
+        this.updateAssetParams(this.portfolioEngine.asset, this.portfolioEngine.config);
+        this.renderCorrelationInputs();
+        this.reset();
+    }
+
+    /**
+     * One correlation input per pair of portfolio assets
+     */
+    renderCorrelationInputs() {
+        const { assets, correlations } = this.portfolioEngine;
+        const schema = {};
+        const values = {};
+
+        assets.forEach((a, i) => assets.slice(i + 1).forEach(b => {
+            schema[`${a}-${b}`] = { label: `ρ ${a}/${b}`, min: -1, max: 1, step: 0.05 };
+            values[`${a}-${b}`] = getCorrelation(correlations, a, b);
+        }));
+
+        this.renderParamInputs(this.elements.correlationInputs, schema, values);
+    }
+
+    /**
+     * Apply edited correlations; inconsistent ones are rejected
+     */
+    updateCorrelations() {
+        try {
+            this.portfolioEngine.setCorrelations({
+                ...this.portfolioEngine.correlations,
+                ...this.readParamInputs(this.elements.correlationInputs)
+            });
+        } catch (error) {
+            alert(error.message);
+            this.renderCorrelationInputs();
+        }
+    }
+
+    /**
+     * Show another portfolio asset in the charts and position panels
+     * Allowed while running; the other assets keep trading
+     */
+    focusAsset(asset) {
+        if (!this.engine.legs[asset]) {
+            alert(`${asset} is not in the portfolio`);
+            this.elements.assetSelector.value = this.engine.asset;
+            return;
+        }
+        if (this.viewingRun) {
+            this.reset();
+        }
+
+        this.engine.setAsset(asset);
+        this.updateAssetParams(asset, this.engine.config);
+
+        this.charts.clear();
+        const history = this.engine.dataHistory;
+        if (history.length > 0) {
+            const last = history.at(-1);
+            this.charts.setHistory(this.getChartHistory());
+            this.updateMetrics(PortfolioEngine.focusPoint(last, asset));
+            this.renderPortfolio(last);
+        }
+        this.engine.getLogEntries('liquidations')
+            .filter(liquidation => liquidation.asset === asset)
+            .forEach(liquidation => this.charts.addLiquidationMarker(liquidation));
+
+        this.updateStatusBar();
+    }
+
     /**
      * Update parameter inputs for selected asset
+     * (from its default config unless a config is given)
      */
-    updateAssetParams(asset) {
-        const config = ASSET_CONFIGS[asset];
+    updateAssetParams(asset, config = ASSET_CONFIGS[asset]) {
         this.elements.paramKvol.value = config.kVol;
         this.elements.paramKpos.value = config.kPos;
         this.elements.paramTicksize.value = config.tickSize;
         this.elements.paramMaxpos.value = config.maxPosition;
+        this.elements.paramMmr.value = config.maintenanceMargin;
+        this.elements.paramAnnualVol.value = config.annualVol;
     }
 
     /**
@@ -1386,14 +7031,126 @@ class UIController {
             kVol: parseFloat(this.elements.paramKvol.value) || 0.2,
             kPos: parseFloat(this.elements.paramKpos.value) || 0.3,
             tickSize: parseFloat(this.elements.paramTicksize.value) || 1,
-            maxPosition: parseFloat(this.elements.paramMaxpos.value) || 0.5
+            maxPosition: parseFloat(this.elements.paramMaxpos.value) || 0.5,
+            maintenanceMargin: parseFloat(this.elements.paramMmr.value) || 0,
+            annualVol: Math.max(0, parseFloat(this.elements.paramAnnualVol.value) || 0)
+        });
+        this.engine.setFillModel(this.elements.fillModel.value, this.readParamInputs(this.elements.fillModelParams));
+        this.engine.setOrderFlow({
+            informedShare: Math.min(Math.max(parseFloat(this.elements.paramInformedShare.value) || 0, 0), 100) / 100,
+            informedMove: Math.max(parseFloat(this.elements.paramInformedMove.value) || 0, 0),
+            markoutHorizons: [1, 5, Math.max(parseInt(this.elements.paramMarkoutHorizon.value) || 20, 1)]
+        });
+        this.engine.setQuotingStrategy(
+            this.elements.quotingStrategy.value,
+            this.readParamInputs(this.elements.quotingStrategyParams)
+        );
+        this.engine.setLadder({
+            levels: parseInt(this.elements.paramLadderLevels.value) || 1,
+            spacing: this.elements.ladderSpacing.value,
+            step: Math.max(parseFloat(this.elements.paramLadderStep.value) || 0, 0),
+            sizeRule: this.elements.ladderSizeRule.value,
+            sizeRatio: Math.max(parseFloat(this.elements.paramLadderRatio.value) || 1, 0),
+            inventorySkew: Math.max(parseFloat(this.elements.paramLadderInventorySkew.value) || 0, 0),
+            walkProbability: Math.min(Math.max(parseFloat(this.elements.paramLadderWalk.value) || 0, 0), 1)
+        });
+        this.engine.setVolatilityEstimator(
+            this.elements.volatilityEstimator.value,
+            this.readParamInputs(this.elements.volatilityEstimatorParams)
+        );
+        this.charts.setActiveEstimator(this.elements.volatilityEstimator.value);
+        this.engine.setPriceModel(this.elements.priceModel.value, this.readParamInputs(this.elements.priceModelParams));
+        this.engine.setPositionMode(this.elements.positionMode.value);
+        this.engine.setCollapsePolicy(
+            this.elements.collapsePolicy.value,
+            this.readParamInputs(this.elements.collapsePolicyParams)
+        );
+        this.engine.setFees(this.elements.feeTier.value);
+        this.engine.setFunding({
+            rate: parseFloat(this.elements.paramFundingRate.value) || 0,
+            intervalMs: (parseFloat(this.elements.paramFundingInterval.value) || 8) * 60 * 60 * 1000,
+            amplitude: parseFloat(this.elements.paramFundingAmplitude.value) || 0
+        });
+
+        const liquidationMode = this.elements.liquidationMode.value;
+        this.engine.setLiquidation({
+            enabled: liquidationMode !== 'off',
+            mode: liquidationMode === 'full' ? 'full' : 'partial',
+            partialFraction: Math.min(Math.max((parseFloat(this.elements.paramLiqFraction.value) || 50) / 100, 0.01), 1),
+            penalty: parseFloat(this.elements.paramLiqPenalty.value) || 0
+        });
+        this.engine.setRisk({
+            enabled: this.elements.riskLimits.value !== 'off',
+            maxNetPosition: Math.max(0, parseFloat(this.elements.paramMaxNet.value) || 0),
+            maxGrossNotional: Math.max(0, parseFloat(this.elements.paramMaxGross.value) || 0),
+            maxSessionLoss: Math.max(0, parseFloat(this.elements.paramMaxLoss.value) || 0),
+            maxDrawdown: Math.min(Math.max(0, parseFloat(this.elements.paramMaxDrawdown.value) || 0), 100) / 100
+        });
+        this.engine.setPauseAfter((parseFloat(this.elements.paramPauseAfter.value) || 15) * 1000);
+        this.engine.setCandleSettings({
+            durationMs: Math.max(parseFloat(this.elements.paramCandleDuration.value) || 5, 0.1) * 1000,
+            historyLength: Math.max(parseInt(this.elements.paramCandleHistory.value) || 50, 2)
+        });
+    }
+
+    /**
+     * Render a number input per entry of a parameter schema
+     * ({ key: { label, default, min, max, step } }) into a container
+     */
+    renderParamInputs(container, schema, values = getDefaultParams(schema)) {
+        container.innerHTML = '';
+
+        for (const [key, def] of Object.entries(schema)) {
+            const group = document.createElement('div');
+            group.className = 'control-group';
+
+            const label = document.createElement('label');
+            label.textContent = def.label;
+
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.dataset.param = key;
+            input.value = values[key];
+            if (def.min !== undefined) input.min = def.min;
+            if (def.max !== undefined) input.max = def.max;
+            if (def.step !== undefined) input.step = def.step;
+
+            group.append(label, input);
+            container.appendChild(group);
+        }
+    }
+
+    /**
+     * Read values back from inputs made by renderParamInputs
+     * Empty or invalid inputs are left out so defaults apply
+     */
+    readParamInputs(container) {
+        const params = {};
+        container.querySelectorAll('input[data-param]').forEach(input => {
+            const value = parseFloat(input.value);
+            if (!isNaN(value)) {
+                params[input.dataset.param] = value;
+            }
         });
+        return params;
     }
 
     /**
      * Start simulation
      */
     async start() {
+        if (this.engine.mode === 'historical') {
+            if (!this.engine.historicalFeed) {
+                alert('Load a historical data file first');
+                return;
+            }
+            this.engine.setHistoricalSpeed(this.readHistoricalSpeed());
+        }
+        if (this.engine.halt) {
+            alert(`Kill switch tripped (${this.describeRiskEvent(this.engine.halt)}). Reset to trade again.`);
+            return;
+        }
+
         // Apply current parameters
         this.updateParams();
         
@@ -1402,6 +7159,10 @@ class UIController {
             this.engine.reset(initialBalance);
         }
 
+        // A new asset gets a fresh price simulator, so re-apply its settings
+        this.engine.setVolatilityRegime(this.elements.volatilityRegime.value);
+        this.engine.setDrift(parseFloat(this.elements.paramDrift.value) || 0);
+
         this.setControlsEnabled(false);
         this.elements.btnStart.disabled = true;
         this.elements.btnStop.disabled = false;
@@ -1417,6 +7178,9 @@ class UIController {
      */
     stop() {
         this.engine.stop();
+        if (!this.viewingRun) {
+            this.refreshTradeAnalytics();
+        }
         
         this.setControlsEnabled(true);
         this.elements.btnStart.disabled = false;
@@ -1431,15 +7195,30 @@ class UIController {
      */
     reset() {
         this.stop();
+        this.viewingRun = null;
+        this.viewingNote = '';
+        this.shownRun = null;
         
         const initialBalance = parseFloat(this.elements.initialBalance.value) || 1000;
         this.engine.reset(initialBalance);
         
         // Clear UI
-        this.elements.tradesTbody.innerHTML = '<tr class="empty-row"><td colspan="5">No trades yet</td></tr>';
+        this.elements.tradesTbody.innerHTML = '<tr class="empty-row"><td colspan="7">No trades yet</td></tr>';
         this.elements.collapsesTbody.innerHTML = '<tr class="empty-row"><td colspan="3">No collapses yet</td></tr>';
+        this.elements.liquidationsTbody.innerHTML = '<tr class="empty-row"><td colspan="6">No liquidations yet</td></tr>';
         this.elements.tradeCount.textContent = '0';
         this.elements.collapseCount.textContent = '0';
+        this.elements.liquidationCount.textContent = '0';
+        this.elements.riskEventsTbody.innerHTML = '<tr class="empty-row"><td colspan="4">No risk events yet</td></tr>';
+        this.elements.riskEventCount.textContent = '0';
+        this.elements.markoutsTbody.innerHTML = '<tr class="empty-row"><td colspan="5">No fills marked out yet</td></tr>';
+        this.elements.analyticsTbody.innerHTML = '<tr class="empty-row"><td colspan="3">No trades yet</td></tr>';
+        this.elements.analyticsSummary.textContent = '-';
+        this.elements.edgeHistogram.innerHTML = '';
+        this.elements.markoutHistogram.innerHTML = '';
+        this.elements.portfolioTbody.innerHTML = '<tr class="empty-row"><td colspan="8">No data yet</td></tr>';
+        this.elements.portfolioSummary.textContent = '-';
+        document.body.classList.toggle('portfolio-mode', this.portfolioMode);
         
         // Reset metrics display
         this.updateMetrics({
@@ -1447,6 +7226,8 @@ class UIController {
             equity: initialBalance,
             unrealizedPnL: 0,
             realizedPnL: 0,
+            fees: 0,
+            funding: 0,
             mid: 0,
             bid: 0,
             ask: 0
@@ -1470,27 +7251,99 @@ class UIController {
             this.elements.paramTicksize,
             this.elements.paramMaxpos,
             this.elements.volatilityRegime,
+            this.elements.paramAnnualVol,
+            ...this.elements.correlationInputs.querySelectorAll('input'),
+            this.elements.priceModel,
+            ...this.elements.priceModelParams.querySelectorAll('input'),
             this.elements.paramDrift,
             this.elements.paramAtrLength,
-            this.elements.paramSeed
+            this.elements.paramCandleDuration,
+            this.elements.paramCandleHistory,
+            this.elements.paramSeed,
+            this.elements.fillModel,
+            ...this.elements.fillModelParams.querySelectorAll('input'),
+            this.elements.paramInformedShare,
+            this.elements.paramInformedMove,
+            this.elements.paramMarkoutHorizon,
+            this.elements.quotingStrategy,
+            ...this.elements.quotingStrategyParams.querySelectorAll('input'),
+            this.elements.paramLadderLevels,
+            this.elements.ladderSpacing,
+            this.elements.paramLadderStep,
+            this.elements.ladderSizeRule,
+            this.elements.paramLadderRatio,
+            this.elements.paramLadderInventorySkew,
+            this.elements.paramLadderWalk,
+            this.elements.volatilityEstimator,
+            ...this.elements.volatilityEstimatorParams.querySelectorAll('input'),
+            this.elements.positionMode,
+            this.elements.collapsePolicy,
+            ...this.elements.collapsePolicyParams.querySelectorAll('input'),
+            this.elements.feeTier,
+            this.elements.paramFundingRate,
+            this.elements.paramFundingInterval,
+            this.elements.paramFundingAmplitude,
+            this.elements.liquidationMode,
+            this.elements.paramMmr,
+            this.elements.paramLiqFraction,
+            this.elements.paramLiqPenalty,
+            this.elements.riskLimits,
+            this.elements.paramMaxNet,
+            this.elements.paramMaxGross,
+            this.elements.paramMaxLoss,
+            this.elements.paramMaxDrawdown,
+            this.elements.marketDataSource,
+            this.elements.paramPauseAfter,
+            this.elements.btnLoadHistorical
         ];
 
         controls.forEach(el => {
             if (el) el.disabled = !enabled;
         });
+        [this.elements.portfolioMode, ...this.elements.portfolioAssets.querySelectorAll('input')]
+            .forEach(el => el.disabled = !enabled);
+
+        // The asset selector only changes the shown asset in portfolio mode
+        if (this.portfolioMode && !this.viewingRun) {
+            this.elements.assetSelector.disabled = false;
+        }
+    }
+
+    /**
+     * The live history as the charts show it (the focus asset's view in
+     * portfolio mode)
+     */
+    getChartHistory() {
+        return this.portfolioMode
+            ? PortfolioEngine.focusHistory(this.engine.dataHistory, this.engine.asset)
+            : this.engine.dataHistory;
     }
 
     /**
      * Handle tick update from engine
      */
     handleTick(dataPoint) {
+        if (this.portfolioMode) {
+            this.renderPortfolio(dataPoint);
+            dataPoint = PortfolioEngine.focusPoint(dataPoint, this.engine.asset);
+        }
+
         this.updateMetrics(dataPoint);
         this.charts.update(dataPoint);
+        if (this.charts.needsDownsample()) {
+            this.charts.setHistory(this.getChartHistory());
+        }
         this.updateStatusBar();
+        this.renderMarkouts(this.engine.getMarkoutSummary());
+        if (Date.now() - this.lastAnalyticsRender >= ANALYTICS_REFRESH_MS) {
+            this.refreshTradeAnalytics();
+        }
         
-        // Low balance warning
+        // Low balance warning, relative to the policy's threshold if it has one
         const accountCard = document.querySelector('.account-metrics');
-        if (dataPoint.balance < TRADING_CONFIG.collapseThreshold * 1.2) {
+        const policyParams = this.engine.collapsePolicy.params;
+        const threshold = policyParams.threshold !== undefined ? policyParams.threshold : TRADING_CONFIG.collapseThreshold;
+        if (dataPoint.balance < threshold * 1.2) {
             accountCard.classList.add('low-balance-warning');
         } else {
             accountCard.classList.remove('low-balance-warning');
@@ -1498,64 +7351,296 @@ class UIController {
     }
 
     /**
-     * Handle new trade from engine
+     * Handle new trade from engine
+     */
+    handleTrade(trade) {
+        this.addTradeRow(trade, this.engine.config);
+        this.elements.tradeCount.textContent = this.engine.getLogCount('trades');
+    }
+
+    /**
+     * Prepend a trade to the trades table
+     * Portfolio trades carry their asset and are priced in its decimals
+     */
+    addTradeRow(trade, config) {
+        // Remove empty row if exists
+        const emptyRow = this.elements.tradesTbody.querySelector('.empty-row');
+        if (emptyRow) {
+            emptyRow.remove();
+        }
+
+        const row = document.createElement('tr');
+        row.className = trade.side === 'LONG' ? 'flash-profit' : 'flash-loss';
+        row.innerHTML = `
+            <td>${trade.timestamp}</td>
+            <td class="${trade.side === 'LONG' ? 'side-long' : 'side-short'}">${trade.asset ? trade.asset + ' ' : ''}${trade.side}</td>
+            <td>${trade.action || 'OPEN'}</td>
+            <td>${formatPrice(trade.price, trade.asset ? ASSET_CONFIGS[trade.asset] : config)}</td>
+            <td>${trade.size.toFixed(6)}</td>
+            <td>$${trade.margin.toFixed(2)}</td>
+            <td class="${trade.pnl > 0 ? 'pnl-positive' : trade.pnl < 0 ? 'pnl-negative' : ''}">${trade.pnl !== undefined ? '$' + trade.pnl.toFixed(2) : '-'}</td>
+        `;
+
+        this.elements.tradesTbody.insertBefore(row, this.elements.tradesTbody.firstChild);
+        
+        // Keep only last 50 rows in DOM
+        while (this.elements.tradesTbody.children.length > 50) {
+            this.elements.tradesTbody.lastChild.remove();
+        }
+    }
+
+    /**
+     * Handle collapse event from engine
+     */
+    handleCollapse(collapse) {
+        this.addCollapseRow(collapse);
+        this.elements.collapseCount.textContent = this.engine.getLogCount('collapses');
+    }
+
+    /**
+     * Prepend a collapse to the collapses table
+     */
+    addCollapseRow(collapse) {
+        // Remove empty row if exists
+        const emptyRow = this.elements.collapsesTbody.querySelector('.empty-row');
+        if (emptyRow) {
+            emptyRow.remove();
+        }
+
+        const row = document.createElement('tr');
+        row.className = collapse.pnl >= 0 ? 'flash-profit' : 'flash-loss';
+        row.innerHTML = `
+            <td>${collapse.timestamp}</td>
+            <td>${collapse.asset ? collapse.asset + ' ' : ''}${collapse.size.toFixed(6)}</td>
+            <td class="${collapse.pnl >= 0 ? 'pnl-positive' : 'pnl-negative'}">$${collapse.pnl.toFixed(2)}</td>
+        `;
+
+        this.elements.collapsesTbody.insertBefore(row, this.elements.collapsesTbody.firstChild);
+    }
+
+    /**
+     * Handle liquidation event from engine
+     */
+    handleLiquidation(liquidation) {
+        this.addLiquidationRow(liquidation, this.engine.config);
+        if (!liquidation.asset || liquidation.asset === this.engine.asset) {
+            this.charts.addLiquidationMarker(liquidation);
+        }
+        this.elements.liquidationCount.textContent = this.engine.getLogCount('liquidations');
+    }
+
+    /**
+     * Prepend a liquidation to the liquidations table
+     */
+    addLiquidationRow(liquidation, config) {
+        // Remove empty row if exists
+        const emptyRow = this.elements.liquidationsTbody.querySelector('.empty-row');
+        if (emptyRow) {
+            emptyRow.remove();
+        }
+
+        const row = document.createElement('tr');
+        row.className = 'flash-loss';
+        row.title = `Equity $${liquidation.equityBefore.toFixed(2)} < maintenance $${liquidation.maintenanceMargin.toFixed(2)}`;
+        row.innerHTML = `
+            <td>${liquidation.timestamp}</td>
+            <td class="pnl-negative">${liquidation.asset ? liquidation.asset + ' ' : ''}${liquidation.type}</td>
+            <td>${formatPrice(liquidation.markPrice, liquidation.asset ? ASSET_CONFIGS[liquidation.asset] : config)}</td>
+            <td>${(liquidation.longSize + liquidation.shortSize).toFixed(6)}</td>
+            <td class="${liquidation.pnl >= 0 ? 'pnl-positive' : 'pnl-negative'}">$${liquidation.pnl.toFixed(2)}</td>
+            <td>$${liquidation.penalty.toFixed(2)}</td>
+        `;
+
+        this.elements.liquidationsTbody.insertBefore(row, this.elements.liquidationsTbody.firstChild);
+    }
+
+    /**
+     * Handle a quote pull or kill switch event from the engine
+     */
+    handleRiskEvent(event) {
+        this.addRiskEventRow(event);
+        this.elements.riskEventCount.textContent = this.engine.getLogCount('riskEvents');
+    }
+
+    /**
+     * The kill switch stopped the engine; bring the controls back
+     */
+    handleHalt(event) {
+        this.stop();
+        console.warn(`Kill switch tripped: ${this.describeRiskEvent(event)}`);
+    }
+
+    /**
+     * Breach value against its limit, e.g. "DRAWDOWN 12.0% ≥ 10.0%"
+     * (a wipe-out is equity below the margin of one order)
+     */
+    describeRiskEvent(event) {
+        const value = UIController.formatRiskValue(event.type, event.value);
+        const limit = UIController.formatRiskValue(event.type, event.limit);
+        return `${event.type} ${value} ${event.type === 'WIPED_OUT' ? '<' : '≥'} ${limit}`;
+    }
+
+    /**
+     * Drawdowns are fractions, net limits asset units and the rest USD
+     */
+    static formatRiskValue(type, value) {
+        if (type === 'DRAWDOWN') return (value * 100).toFixed(1) + '%';
+        if (type === 'NET_LIMIT') return value.toFixed(6);
+        return '$' + value.toFixed(2);
+    }
+
+    /**
+     * Fill the markouts table from a markout summary (see summarizeMarkouts)
      */
-    handleTrade(trade) {
-        // Remove empty row if exists
-        const emptyRow = this.elements.tradesTbody.querySelector('.empty-row');
-        if (emptyRow) {
-            emptyRow.remove();
+    renderMarkouts(markouts) {
+        if (markouts.every(markout => markout.fills === 0)) {
+            return;
         }
 
-        const row = document.createElement('tr');
-        row.className = trade.side === 'LONG' ? 'flash-profit' : 'flash-loss';
-        row.innerHTML = `
-            <td>${trade.timestamp}</td>
-            <td class="${trade.side === 'LONG' ? 'side-long' : 'side-short'}">${trade.side}</td>
-            <td>${formatPrice(trade.price, this.engine.config)}</td>
-            <td>${trade.size.toFixed(6)}</td>
-            <td>$${trade.margin.toFixed(2)}</td>
-        `;
+        const cell = (value) => value === null
+            ? '<td>-</td>'
+            : `<td class="${value >= 0 ? 'pnl-positive' : 'pnl-negative'}">$${value.toFixed(4)}</td>`;
+        this.elements.markoutsTbody.innerHTML = markouts.map(markout => `
+            <tr>
+                <td>+${markout.horizon}</td>
+                <td>${markout.fills}</td>
+                ${cell(markout.average)}
+                ${cell(markout.informedAverage)}
+                ${cell(markout.uninformedAverage)}
+            </tr>
+        `).join('');
+    }
 
-        this.elements.tradesTbody.insertBefore(row, this.elements.tradesTbody.firstChild);
-        
-        // Keep only last 50 rows in DOM
-        while (this.elements.tradesTbody.children.length > 50) {
-            this.elements.tradesTbody.lastChild.remove();
+    /**
+     * Analyze the live engine's full trade log
+     */
+    refreshTradeAnalytics() {
+        const assets = this.portfolioMode ? this.engine.assets.length : 1;
+        this.renderTradeAnalytics(analyzeTrades(this.engine.getLogEntries('trades'), {
+            ticks: this.engine.tickCount * assets,
+            horizons: this.engine.orderFlow.markoutHorizons,
+            oldestFirst: true
+        }));
+        this.lastAnalyticsRender = Date.now();
+    }
+
+    /**
+     * Fill the trade analytics table and histograms (see analyzeTrades)
+     */
+    renderTradeAnalytics(analytics) {
+        if (analytics.trades === 0) {
+            return;
         }
 
-        this.elements.tradeCount.textContent = this.engine.tradingEngine.trades.length;
+        const { LONG, SHORT } = analytics.sides;
+        const money = (value) => value === null
+            ? '<td>-</td>'
+            : `<td class="${value >= 0 ? 'pnl-positive' : 'pnl-negative'}">$${value.toFixed(4)}</td>`;
+        const plain = (value, format) => `<td>${value === null ? '-' : format(value)}</td>`;
+        const row = (label, cell) => `<tr><td>${label}</td>${cell(LONG)}${cell(SHORT)}</tr>`;
+
+        this.elements.analyticsTbody.innerHTML = [
+            row('Fills', side => plain(side.fills, v => v)),
+            row('Volume', side => plain(side.volume, v => v.toFixed(6))),
+            row('Hit Rate (ticks)', side => plain(side.hitRate, v => (v * 100).toFixed(1) + '%')),
+            row('Avg Edge', side => money(side.averageEdge)),
+            row('Avg Edge (bps)', side => plain(side.averageEdgeBps, v => v.toFixed(2))),
+            ...LONG.markouts.map((markout, i) =>
+                row(`Markout +${markout.horizon}`, side => money(side.markouts[i].average))),
+            row('Avg Holding', side => plain(side.averageHoldingSeconds, formatDuration))
+        ].join('');
+
+        this.elements.analyticsSummary.textContent = analytics.spreadEarnedBps === null
+            ? `${analytics.trades} trades`
+            : `${analytics.trades} trades · spread earned ${analytics.spreadEarnedBps.toFixed(2)} bps per round trip`;
+        this.renderSideHistogram(this.elements.edgeHistogram, analytics.edgeHistogram, v => v.toFixed(1));
+        this.elements.markoutHistogramTitle.textContent = `Markout +${analytics.markoutHorizon} ($)`;
+        this.renderSideHistogram(this.elements.markoutHistogram, analytics.markoutHistogram, v => v.toFixed(3));
     }
 
     /**
-     * Handle collapse event from engine
+     * Draw LONG and SHORT counts per bin as bars scaled to the largest count
      */
-    handleCollapse(collapse) {
+    renderSideHistogram(container, histogram, format) {
+        const largest = Math.max(1, ...histogram.map(bin => Math.max(bin.LONG, bin.SHORT)));
+        container.innerHTML = histogram.map(bin => `
+            <span class="histogram-label">${format(bin.from)} … ${format(bin.to)}</span>
+            <span class="histogram-bars" title="LONG ${bin.LONG} · SHORT ${bin.SHORT}">
+                <span class="histogram-bar long" style="width: ${bin.LONG / largest * 100}%"></span>
+                <span class="histogram-bar short" style="width: ${bin.SHORT / largest * 100}%"></span>
+            </span>
+        `).join('');
+    }
+
+    /**
+     * Prepend a risk event to the risk events table
+     */
+    addRiskEventRow(event) {
         // Remove empty row if exists
-        const emptyRow = this.elements.collapsesTbody.querySelector('.empty-row');
+        const emptyRow = this.elements.riskEventsTbody.querySelector('.empty-row');
         if (emptyRow) {
             emptyRow.remove();
         }
 
+        const label = event.action === 'KILL' ? `KILL ${event.type}` : `PULL ${event.side} (${event.type})`;
+
         const row = document.createElement('tr');
-        row.className = collapse.pnl >= 0 ? 'flash-profit' : 'flash-loss';
+        row.className = event.action === 'KILL' ? 'flash-loss' : '';
         row.innerHTML = `
-            <td>${collapse.timestamp}</td>
-            <td>${collapse.size.toFixed(6)}</td>
-            <td class="${collapse.pnl >= 0 ? 'pnl-positive' : 'pnl-negative'}">$${collapse.pnl.toFixed(2)}</td>
+            <td>${event.timestamp}</td>
+            <td class="${event.action === 'KILL' ? 'pnl-negative' : ''}">${event.asset ? event.asset + ' ' : ''}${label}</td>
+            <td>${UIController.formatRiskValue(event.type, event.value)}</td>
+            <td>${UIController.formatRiskValue(event.type, event.limit)}</td>
         `;
 
-        this.elements.collapsesTbody.insertBefore(row, this.elements.collapsesTbody.firstChild);
-        
-        this.elements.collapseCount.textContent = this.engine.tradingEngine.collapses.length;
+        this.elements.riskEventsTbody.insertBefore(row, this.elements.riskEventsTbody.firstChild);
+    }
+
+    /**
+     * Fill the portfolio breakdown from a portfolio data point
+     * Margin % is the share of account equity tied up in each asset
+     */
+    renderPortfolio(point) {
+        const pnlClass = (value) => value > 0 ? 'pnl-positive' : value < 0 ? 'pnl-negative' : '';
+        const share = (margin) => point.equity > 0 ? (margin / point.equity * 100).toFixed(1) + '%' : '-';
+        const focus = this.viewingRun ? null : this.engine.asset;
+
+        const rows = Object.entries(point.assets).map(([asset, leg]) => `
+            <tr data-asset="${asset}" class="${asset === focus ? 'focus' : ''}">
+                <td>${asset}</td>
+                <td>${formatPrice(leg.mid, ASSET_CONFIGS[asset])}</td>
+                <td>${leg.longSize.toFixed(6)}</td>
+                <td>${leg.shortSize.toFixed(6)}</td>
+                <td>$${leg.margin.toFixed(2)}</td>
+                <td>${share(leg.margin)}</td>
+                <td class="${pnlClass(leg.unrealizedPnL)}">$${leg.unrealizedPnL.toFixed(2)}</td>
+                <td class="${pnlClass(leg.realizedPnL)}">$${leg.realizedPnL.toFixed(2)}</td>
+            </tr>
+        `);
+        rows.push(`
+            <tr>
+                <td><strong>Total</strong></td>
+                <td>-</td>
+                <td>-</td>
+                <td>-</td>
+                <td>$${point.margin.toFixed(2)}</td>
+                <td>${share(point.margin)}</td>
+                <td class="${pnlClass(point.unrealizedPnL)}">$${point.unrealizedPnL.toFixed(2)}</td>
+                <td class="${pnlClass(point.realizedPnL)}">$${point.realizedPnL.toFixed(2)}</td>
+            </tr>
+        `);
+
+        this.elements.portfolioTbody.innerHTML = rows.join('');
+        this.elements.portfolioSummary.textContent = `Equity $${point.equity.toFixed(2)} · Free $${point.balance.toFixed(2)}`;
     }
 
     /**
      * Update all metric displays
+     * `view` supplies config, quotes and positions (live engine by default)
      */
-    updateMetrics(data) {
-        const config = this.engine.config;
-        const engine = this.engine.tradingEngine;
+    updateMetrics(data, view = this.getLiveView()) {
+        const config = view.config;
+        const engine = view.tradingEngine;
 
         // Account metrics
         this.elements.metricBalance.textContent = '$' + data.balance.toFixed(2);
@@ -1569,30 +7654,30 @@ class UIController {
         this.elements.metricRealizedPnl.className = 'metric-value ' + 
             (data.realizedPnL > 0 ? 'profit' : data.realizedPnL < 0 ? 'loss' : 'neutral');
 
+        // Costs (older saved runs don't record them)
+        const fees = data.fees || 0;
+        const funding = data.funding || 0;
+        this.elements.metricFees.textContent = '$' + fees.toFixed(2);
+        this.elements.metricFees.className = 'metric-value ' + (fees > 0 ? 'loss' : fees < 0 ? 'profit' : 'neutral');
+        this.elements.metricFunding.textContent = '$' + funding.toFixed(2);
+        this.elements.metricFunding.className = 'metric-value ' + (funding > 0 ? 'loss' : funding < 0 ? 'profit' : 'neutral');
+
         // Equity coloring
-        const initialBalance = parseFloat(this.elements.initialBalance.value) || 1000;
+        const initialBalance = view.initialBalance;
         this.elements.metricEquity.className = 'metric-value ' + 
             (data.equity > initialBalance ? 'profit' : data.equity < initialBalance ? 'loss' : '');
 
         // Market metrics
         if (data.mid > 0) {
             this.elements.metricMid.textContent = formatPrice(data.mid, config);
-            this.elements.metricBid.textContent = formatPrice(this.engine.currentQuotes.bid, config);
-            this.elements.metricAsk.textContent = formatPrice(this.engine.currentQuotes.ask, config);
-            
-            // Calculate order sizes
-            const bidSize = engine.calculateOrderSize(this.engine.currentQuotes.bid);
-            const askSize = engine.calculateOrderSize(this.engine.currentQuotes.ask);
-            this.elements.metricBidSize.textContent = bidSize.toFixed(6);
-            this.elements.metricAskSize.textContent = askSize.toFixed(6);
-            
-            this.elements.metricSpread.textContent = formatPrice(this.engine.currentQuotes.actualSpread, config);
+            this.renderDepthLadder(view.quotes.ladder || UIController.ladderFromPoint(data), view);
+            this.elements.metricSpread.textContent = formatPrice(view.quotes.actualSpread, config);
         }
         
-        this.elements.metricAtr.textContent = this.engine.currentATR.toFixed(4);
-        this.elements.metricBaseSpread.textContent = this.engine.currentQuotes.baseSpread.toFixed(4);
-        this.elements.metricSkew.textContent = this.engine.currentQuotes.skew.toFixed(4);
-        this.elements.metricImbalance.textContent = (this.engine.currentQuotes.imbalance * 100).toFixed(2) + '%';
+        this.elements.metricAtr.textContent = view.atr.toFixed(4);
+        this.elements.metricBaseSpread.textContent = view.quotes.baseSpread.toFixed(4);
+        this.elements.metricSkew.textContent = view.quotes.skew.toFixed(4);
+        this.elements.metricImbalance.textContent = (view.quotes.imbalance * 100).toFixed(2) + '%';
 
         // Positions
         this.elements.longSize.textContent = engine.longPosition.size.toFixed(6);
@@ -1608,37 +7693,140 @@ class UIController {
             engine.calculateMargin(engine.shortPosition.size, engine.shortPosition.avgPrice).toFixed(2);
     }
 
+    /**
+     * Draw both sides of the quote ladder, asks above bids, best prices
+     * next to the spread; sizes are in asset units
+     */
+    renderDepthLadder(ladder, view) {
+        const pulled = (view.quotes && view.quotes.pulled) || {};
+        const row = (level, side) => `
+            <tr class="${pulled[side] ? 'pulled' : ''}">
+                <td class="depth-price ${side}">${formatPrice(level.price, view.config)}</td>
+                <td>${(level.size * view.tradingEngine.calculateOrderSize(level.price)).toFixed(6)}</td>
+            </tr>
+        `;
+        this.elements.depthAsks.innerHTML = [...ladder.asks].reverse().map(level => row(level, 'ask')).join('');
+        this.elements.depthBids.innerHTML = ladder.bids.map(level => row(level, 'bid')).join('');
+    }
+
+    /**
+     * Ladder prices recorded in a data point (saved runs keep no sizes,
+     * so every level shows one order)
+     */
+    static ladderFromPoint(point) {
+        const ladder = { bids: [{ price: point.bid, size: 1 }], asks: [{ price: point.ask, size: 1 }] };
+        for (let level = 2; point[`bid${level}`] !== undefined; level++) {
+            ladder.bids.push({ price: point[`bid${level}`], size: 1 });
+            ladder.asks.push({ price: point[`ask${level}`], size: 1 });
+        }
+        return ladder;
+    }
+
+    /**
+     * Live engine state in the shape updateMetrics displays
+     */
+    getLiveView() {
+        return {
+            config: this.engine.config,
+            quotes: this.engine.currentQuotes,
+            atr: this.engine.currentATR,
+            tradingEngine: this.engine.tradingEngine,
+            initialBalance: parseFloat(this.elements.initialBalance.value) || 1000
+        };
+    }
+
+    /**
+     * Saved run state in the shape updateMetrics displays
+     * Positions are rebuilt from the run's final state
+     */
+    getSavedRunView(run) {
+        const last = run.history[run.history.length - 1];
+        const tradingEngine = new TradingEngine();
+        tradingEngine.reset(run.finalState.balance);
+        tradingEngine.longPosition = { ...run.finalState.longPosition };
+        tradingEngine.shortPosition = { ...run.finalState.shortPosition };
+
+        return {
+            config: run.config,
+            quotes: {
+                bid: last.bid,
+                ask: last.ask,
+                actualSpread: last.spread,
+                baseSpread: last.baseSpread || 0,
+                skew: last.skew || 0,
+                imbalance: last.imbalance || 0
+            },
+            atr: last.atr,
+            tradingEngine: tradingEngine,
+            initialBalance: run.manifest
+                ? run.manifest.initialBalance
+                : parseFloat(this.elements.initialBalance.value) || 1000
+        };
+    }
+
     /**
      * Update status bar
      */
     updateStatusBar() {
-        this.elements.statusMode.textContent = `Mode: ${this.engine.mode === 'simulation' ? 'Simulation' : 'Live'}`;
-        this.elements.statusAsset.textContent = `Asset: ${this.engine.asset}`;
+        const modeLabels = { simulation: 'Simulation', live: 'Live', historical: 'Historical' };
+        this.elements.statusMode.textContent = this.engine.mode === 'live'
+            ? `Mode: Live (${MARKET_DATA_SOURCES[this.engine.marketDataSource].label})`
+            : `Mode: ${modeLabels[this.engine.mode]}`;
+        this.elements.statusAsset.textContent = this.portfolioMode
+            ? `Portfolio: ${this.engine.assets.join(', ')} (showing ${this.engine.asset})`
+            : `Asset: ${this.engine.asset}`;
         this.elements.statusRunning.textContent = `Status: ${this.engine.isRunning ? 'Running' : 'Stopped'}`;
         this.elements.statusTick.textContent = `Tick: ${this.engine.tickCount}`;
+        this.elements.statusView.textContent = this.viewingRun
+            ? `Viewing ${this.viewingRun}${this.viewingNote ? ' — ' + this.viewingNote : ''} (read-only, Reset to exit)`
+            : '';
     }
 
     /**
-     * Download data as CSV
+     * Show live feed health: source, state, age of the last price and errors
      */
-    downloadCSV() {
-        const csv = this.engine.exportCSV();
-        if (!csv) {
-            alert('No data to export');
-            return;
-        }
+    updateFeedHealth(health) {
+        const label = MARKET_DATA_SOURCES[health.source].label;
+        const state = health.fallback && health.source !== 'coingecko'
+            ? `${health.state}, CoinGecko fallback`
+            : health.state;
+        const age = Number.isFinite(health.age) ? `${(health.age / 1000).toFixed(1)}s ago` : 'no price yet';
+
+        this.elements.statusFeed.textContent = health.paused
+            ? `Feed: ${label} (${state}) · ⏸ quoting paused, price ${age} · ${health.errors} errors`
+            : `Feed: ${label} (${state}) · ${age} · ${health.errors} errors`;
+        this.elements.statusFeed.title = health.lastError ? `Last error: ${health.lastError}` : '';
+        this.elements.statusFeed.classList.toggle('status-feed-paused', health.paused);
+    }
 
-        const blob = new Blob([csv], { type: 'text/csv' });
+    /**
+     * Save content as a timestamped mm_sim_<asset>_<time>.<extension> download
+     */
+    downloadFile(content, type, extension) {
+        const blob = new Blob([content], { type: type });
         const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
         a.href = url;
-        a.download = `mm_sim_${this.engine.asset}_${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}.csv`;
+        a.download = `mm_sim_${this.portfolioMode ? 'portfolio' : this.engine.asset}_${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}.${extension}`;
         document.body.appendChild(a);
         a.click();
         document.body.removeChild(a);
         URL.revokeObjectURL(url);
     }
 
+    /**
+     * Download data as CSV
+     */
+    downloadCSV() {
+        const csv = this.engine.exportCSV();
+        if (!csv) {
+            alert('No data to export');
+            return;
+        }
+
+        this.downloadFile(csv, 'text/csv', 'csv');
+    }
+
     /**
      * Download data as JSON
      */
@@ -1649,15 +7837,472 @@ class UIController {
             return;
         }
 
-        const blob = new Blob([json], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `mm_sim_${this.engine.asset}_${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}.json`;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
+        this.downloadFile(json, 'application/json', 'json');
+    }
+
+    /**
+     * Build the performance report for the shown run (saved or live) and
+     * open it in the report modal
+     */
+    openReport() {
+        const daysPerYear = parseInt(this.elements.reportAnnualization.value);
+        const run = this.shownRun;
+        const report = run
+            ? buildPerformanceReport({
+                history: run.history,
+                trades: run.trades,
+                collapses: run.collapses,
+                liquidations: run.liquidations || [],
+                finalState: run.finalState,
+                initialBalance: run.manifest
+                    ? run.manifest.initialBalance
+                    : parseFloat(this.elements.initialBalance.value) || 1000,
+                daysPerYear: daysPerYear
+            })
+            : buildPerformanceReport({
+                history: this.engine.dataHistory,
+                trades: this.engine.getLog('trades'),
+                collapses: this.engine.getLog('collapses'),
+                liquidations: this.engine.getLog('liquidations'),
+                finalState: this.engine.getState(),
+                initialBalance: this.engine.getManifest().initialBalance,
+                daysPerYear: daysPerYear
+            });
+
+        if (!report) {
+            alert('No data to report');
+            return;
+        }
+
+        this.report = report;
+        this.elements.reportBody.innerHTML = renderPerformanceReportSections(report);
+        this.elements.reportModal.hidden = false;
+    }
+
+    /**
+     * Hide the report modal
+     */
+    closeReport() {
+        this.elements.reportModal.hidden = true;
+    }
+
+    /**
+     * Heading for the exported HTML report
+     */
+    getReportTitle() {
+        const subject = this.viewingRun || `${this.portfolioMode ? 'portfolio' : this.engine.asset} run`;
+        return `Performance Report: ${subject}`;
+    }
+
+    /**
+     * Save the whole current run to the saved-runs store
+     * The compressed export goes up in chunks first; the entry naming them
+     * is saved last, so a run only shows in the list once complete
+     */
+    async saveRun() {
+        if (this.engine.dataHistory.length === 0) {
+            alert('No data to save');
+            return;
+        }
+
+        this.elements.btnSave.disabled = true;
+
+        try {
+            const data = await compressText(this.engine.exportJSON());
+            const { encoding, chunkLength, maxChunks } = SAVED_RUN_STORAGE;
+            const chunks = Math.ceil(data.length / chunkLength);
+            if (chunks > maxChunks) {
+                const megabytes = (length) => (length / 1e6).toFixed(1);
+                alert(`This run is ${megabytes(data.length)} MB compressed; saved runs are limited to `
+                    + `${megabytes(chunkLength * maxChunks)} MB. Export it as JSON instead.`);
+                return;
+            }
+
+            const id = `sim-${Date.now()}`;
+            for (let chunk = 0; chunk < chunks; chunk++) {
+                await this.postSavedRun({ id, chunk, data: data.slice(chunk * chunkLength, (chunk + 1) * chunkLength) });
+            }
+            await this.postSavedRun({
+                id: id,
+                asset: this.portfolioMode ? this.engine.assets.join('+') : this.engine.asset,
+                timestamp: new Date().toISOString(),
+                encoding: encoding,
+                chunks: chunks
+            });
+
+            await this.refreshSavedRuns();
+        } catch (error) {
+            console.error('Error saving run:', error);
+            alert('Failed to save run: ' + error.message);
+        } finally {
+            this.elements.btnSave.disabled = false;
+        }
+    }
+
+    /**
+     * POST one saved-run record (a chunk or the run entry)
+     */
+    async postSavedRun(body) {
+        const response = await fetch(API_ENDPOINTS.saveRun, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        const result = await response.json();
+
+        if (!response.ok) {
+            throw new Error(result.error || `HTTP ${response.status}`);
+        }
+        return result;
+    }
+
+    /**
+     * GET a saved-run record by query ({ id } or { id, chunk })
+     */
+    async fetchSavedRun(query) {
+        const response = await fetch(`${API_ENDPOINTS.getRun}?${new URLSearchParams(query)}`);
+        const result = await response.json();
+
+        if (!response.ok) {
+            throw new Error(result.error || `HTTP ${response.status}`);
+        }
+        return result;
+    }
+
+    /**
+     * Reload the saved runs list
+     */
+    async refreshSavedRuns() {
+        try {
+            const response = await fetch(`${API_ENDPOINTS.getRun}?list=true`);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+
+            const { simulations } = await response.json();
+            this.renderSavedRuns(simulations);
+        } catch (error) {
+            console.warn('Saved runs unavailable:', error.message);
+            this.elements.savedRunsTbody.innerHTML = '<tr class="empty-row"><td colspan="4">Saved runs unavailable</td></tr>';
+        }
+    }
+
+    /**
+     * Fill the saved runs table, newest first
+     */
+    renderSavedRuns(simulations) {
+        this.elements.savedRunCount.textContent = simulations.length;
+
+        if (simulations.length === 0) {
+            this.elements.savedRunsTbody.innerHTML = '<tr class="empty-row"><td colspan="4">No saved runs</td></tr>';
+            return;
+        }
+
+        // Ids and assets come from the store as sent by any client, so they
+        // go in as text rather than markup
+        this.elements.savedRunsTbody.replaceChildren(...[...simulations].reverse().map(sim => {
+            const row = document.createElement('tr');
+            row.innerHTML = `
+                <td></td>
+                <td></td>
+                <td></td>
+                <td><button class="btn btn-reset btn-small">Load</button></td>
+            `;
+            row.cells[0].textContent = sim.id;
+            row.cells[1].textContent = sim.asset || '-';
+            row.cells[2].textContent = sim.timestamp ? new Date(sim.timestamp).toLocaleString() : '-';
+            row.querySelector('button').dataset.runId = sim.id;
+            return row;
+        }));
+    }
+
+    /**
+     * Fetch a saved run and show it
+     */
+    async loadSavedRun(id) {
+        if (this.engine.isRunning) {
+            alert('Please stop the simulation first');
+            return;
+        }
+
+        try {
+            const saved = await this.fetchSavedRun({ id });
+
+            // Runs saved before compression are the export itself
+            let run = saved;
+            if (saved.encoding === SAVED_RUN_STORAGE.encoding) {
+                const chunks = [];
+                for (let chunk = 0; chunk < saved.chunks; chunk++) {
+                    chunks.push((await this.fetchSavedRun({ id, chunk })).data);
+                }
+                run = JSON.parse(await decompressText(chunks.join('')));
+            } else if (saved.encoding) {
+                throw new Error(`Unsupported saved run encoding: ${saved.encoding}`);
+            }
+
+            this.showSavedRun(`saved run ${id}`, run);
+        } catch (error) {
+            console.error('Error loading run:', error);
+            alert('Failed to load run: ' + error.message);
+        }
+    }
+
+    /**
+     * Show a saved run read-only
+     * Charts, tables and metrics come from the saved payload, and
+     * Start stays disabled until Reset
+     */
+    showSavedRun(label, run) {
+        this.reset();
+        this.viewingRun = label;
+        this.shownRun = run;
+
+        // Portfolio runs are shown through one asset plus the breakdown table
+        const assets = run.manifest && run.manifest.assets;
+        const asset = assets && (assets.includes(this.engine.asset) ? this.engine.asset : assets[0]);
+        const shown = assets
+            ? {
+                ...run,
+                config: run.config[asset],
+                history: run.history.map(point => PortfolioEngine.focusPoint(point, asset)),
+                finalState: run.finalState.assets[asset]
+            }
+            : run;
+
+        if (run.history.length > 0) {
+            this.charts.setHistory(HistoryStore.from(shown.history));
+            this.updateMetrics(shown.history[shown.history.length - 1], this.getSavedRunView(shown));
+        }
+        if (assets) {
+            document.body.classList.add('portfolio-mode');
+            if (run.history.length > 0) {
+                this.renderPortfolio(run.history[run.history.length - 1]);
+            }
+        }
+
+        // Saved logs are newest first; add oldest first so newest ends on top
+        // (only the rows the trades table keeps)
+        run.trades.slice(0, 50).reverse().forEach(trade => this.addTradeRow(trade, run.config));
+        [...run.collapses].reverse().forEach(collapse => this.addCollapseRow(collapse));
+        // Runs saved before liquidations were tracked have none
+        const liquidations = run.liquidations || [];
+        [...liquidations].reverse().forEach(liquidation => {
+            this.addLiquidationRow(liquidation, run.config);
+            if (!liquidation.asset || liquidation.asset === asset) {
+                this.charts.addLiquidationMarker(liquidation);
+            }
+        });
+        this.elements.tradeCount.textContent = run.trades.length;
+        this.elements.collapseCount.textContent = run.collapses.length;
+        this.elements.liquidationCount.textContent = liquidations.length;
+        // ...and runs saved before risk limits none of these
+        const riskEvents = run.riskEvents || [];
+        [...riskEvents].reverse().forEach(event => this.addRiskEventRow(event));
+        this.elements.riskEventCount.textContent = riskEvents.length;
+        this.renderMarkouts(run.markouts || []);
+        const orderFlow = (run.manifest && run.manifest.orderFlow) || ORDER_FLOW_CONFIG;
+        this.renderTradeAnalytics(analyzeTrades(run.trades, {
+            ticks: (run.manifest ? run.manifest.ticks : run.history.length) * (assets ? assets.length : 1),
+            horizons: orderFlow.markoutHorizons
+        }));
+
+        this.setControlsEnabled(false);
+        this.elements.btnStart.disabled = true;
+        this.updateStatusBar();
+    }
+
+    /**
+     * Replay an exported JSON run from its manifest and show the result
+     * The regenerated run is displayed; the status bar reports whether it
+     * matches the file or the first tick where it diverges
+     */
+    async importAndReplay(file) {
+        if (this.engine.isRunning) {
+            alert('Please stop the simulation first');
+            return;
+        }
+
+        try {
+            const run = JSON.parse(await file.text());
+            const result = replayRun(run);
+            const replayed = JSON.parse(result.engine.exportJSON());
+
+            this.showSavedRun(`replay of ${file.name}`, replayed);
+
+            const d = result.divergence;
+            this.viewingNote = result.matches
+                ? `matches file (${replayed.manifest.ticks} ticks)`
+                : `diverges at tick ${d.tick}: ${d.field} ${d.expected} → ${d.actual}`;
+            if (result.configChanges.length > 0) {
+                this.viewingNote += `; TRADING_CONFIG changed since export: ${result.configChanges.join(', ')}`;
+            }
+            this.updateStatusBar();
+        } catch (error) {
+            console.error('Error replaying run:', error);
+            alert('Failed to replay run: ' + error.message);
+        }
+    }
+
+    /**
+     * Parse a comma-separated list of sweep values
+     */
+    parseSweepValues(text, key) {
+        return text.split(',')
+            .map(v => SWEEP_PARAMS[key].integer ? parseInt(v) : parseFloat(v))
+            .filter(v => !isNaN(v));
+    }
+
+    /**
+     * Run a two-parameter sweep around the current control values
+     * Points are evaluated one at a time so the page stays responsive
+     */
+    async runSweep() {
+        const xKey = this.elements.sweepXParam.value;
+        const yKey = this.elements.sweepYParam.value;
+        if (xKey === yKey) {
+            alert('Please pick two different sweep parameters');
+            return;
+        }
+
+        const xValues = this.parseSweepValues(this.elements.sweepXValues.value, xKey);
+        const yValues = this.parseSweepValues(this.elements.sweepYValues.value, yKey);
+        if (xValues.length === 0 || yValues.length === 0) {
+            alert('Please enter sweep values for both parameters');
+            return;
+        }
+
+        const metric = this.elements.sweepMetric.value;
+        const seedCount = Math.max(1, parseInt(this.elements.sweepSeeds.value) || 1);
+        const baseSeed = parseInt(this.elements.paramSeed.value) || 12345;
+
+        // Parameters not being swept stay at their current control values
+        const base = {
+            kVol: parseFloat(this.elements.paramKvol.value) || 0.2,
+            kPos: parseFloat(this.elements.paramKpos.value) || 0.3,
+            maxPosition: parseFloat(this.elements.paramMaxpos.value) || 0.5,
+            atrLength: parseInt(this.elements.paramAtrLength.value) || 20
+        };
+        const points = buildParameterGrid({ [xKey]: xValues, [yKey]: yValues })
+            .map(point => ({ ...base, ...point }));
+
+        const options = {
+            asset: this.engine.asset,
+            ticks: parseInt(this.elements.sweepTicks.value) || 2000,
+            seeds: Array.from({ length: seedCount }, (_, i) => baseSeed + i),
+            initialBalance: parseFloat(this.elements.initialBalance.value) || 1000,
+            volatilityRegime: this.elements.volatilityRegime.value,
+            drift: parseFloat(this.elements.paramDrift.value) || 0,
+            priceModel: this.engine.priceModel,
+            volatilityEstimator: this.engine.volatilityEstimator,
+            quotingStrategy: this.engine.quotingStrategy,
+            collapsePolicy: this.engine.collapsePolicy,
+            ladder: this.engine.ladder,
+            orderFlow: this.engine.orderFlow,
+            candles: this.engine.candleSettings,
+            historicalData: this.engine.mode === 'historical' && this.engine.historicalFeed
+                ? this.engine.historicalFeed.data
+                : null,
+            fillModel: this.engine.fillModel,
+            positionMode: this.engine.tradingEngine.positionMode,
+            fees: this.engine.tradingEngine.fees,
+            funding: this.engine.funding,
+            liquidation: this.engine.liquidation,
+            risk: this.engine.risk
+        };
+
+        this.elements.btnSweep.disabled = true;
+
+        try {
+            const results = [];
+            for (let i = 0; i < points.length; i++) {
+                this.elements.sweepProgress.textContent = `Running ${i + 1}/${points.length}...`;
+                // Yield to the browser between points
+                await new Promise(resolve => setTimeout(resolve, 0));
+                results.push(evaluateSweepPoint(points[i], options));
+            }
+
+            const ranked = rankSweepResults(results, metric);
+            this.renderSweepHeatmap(ranked, xKey, xValues, yKey, yValues, metric);
+            this.renderSweepTable(ranked, [xKey, yKey]);
+
+            this.elements.sweepProgress.textContent =
+                `${points.length} points × ${seedCount} seeds × ${options.ticks} ticks`;
+        } catch (error) {
+            console.error('Error running sweep:', error);
+            this.elements.sweepProgress.textContent = 'Sweep failed';
+            alert('Failed to run sweep: ' + error.message);
+        } finally {
+            this.elements.btnSweep.disabled = false;
+        }
+    }
+
+    /**
+     * Format a sweep metric value for display
+     */
+    formatSweepMetric(value, metric) {
+        if (metric === 'collapses') return value.toFixed(1);
+        return '$' + value.toFixed(metric === 'markout' ? 4 : 2);
+    }
+
+    /**
+     * Draw sweep results as a heatmap (x across, y down)
+     * Cells run red → green from worst to best value of the metric
+     */
+    renderSweepHeatmap(results, xKey, xValues, yKey, yValues, metric) {
+        const container = this.elements.sweepHeatmap;
+        const values = results.map(r => r[metric]);
+        const min = Math.min(...values);
+        const max = Math.max(...values);
+        const higherIsBetter = SWEEP_METRICS[metric].higherIsBetter;
+
+        container.innerHTML = '';
+        container.style.gridTemplateColumns = `repeat(${xValues.length + 1}, 1fr)`;
+
+        const addCell = (text, className, style = '') => {
+            const cell = document.createElement('div');
+            cell.className = className;
+            cell.textContent = text;
+            if (style) cell.style.background = style;
+            container.appendChild(cell);
+            return cell;
+        };
+
+        // Header row: corner label + x values
+        addCell(`${SWEEP_PARAMS[yKey].label} ↓ / ${SWEEP_PARAMS[xKey].label} →`, 'heatmap-axis');
+        xValues.forEach(x => addCell(x, 'heatmap-axis'));
+
+        yValues.forEach(y => {
+            addCell(y, 'heatmap-axis');
+            xValues.forEach(x => {
+                const result = results.find(r => r.params[xKey] === x && r.params[yKey] === y);
+                const position = max > min ? (result[metric] - min) / (max - min) : 0.5;
+                const score = higherIsBetter ? position : 1 - position;
+                const cell = addCell(
+                    this.formatSweepMetric(result[metric], metric),
+                    'heatmap-cell',
+                    `hsl(${Math.round(score * 120)}, 55%, 30%)`
+                );
+                cell.title = `#${result.rank} ${SWEEP_PARAMS[xKey].label}=${x}, ${SWEEP_PARAMS[yKey].label}=${y}`;
+            });
+        });
+    }
+
+    /**
+     * Fill the ranked sweep results table
+     */
+    renderSweepTable(results, keys) {
+        this.elements.sweepTbody.innerHTML = results.slice(0, 50).map(r => `
+            <tr>
+                <td>${r.rank}</td>
+                <td>${keys.map(k => `${SWEEP_PARAMS[k].label}=${r.params[k]}`).join(', ')}</td>
+                <td>$${r.finalEquity.toFixed(2)}</td>
+                <td class="${r.realizedPnL >= 0 ? 'pnl-positive' : 'pnl-negative'}">$${r.realizedPnL.toFixed(2)}</td>
+                <td>${r.collapses.toFixed(1)}</td>
+                <td>${r.liquidations.toFixed(1)}</td>
+                <td>$${r.maxDrawdown.toFixed(2)}</td>
+                <td class="${r.markout >= 0 ? 'pnl-positive' : 'pnl-negative'}">$${r.markout.toFixed(4)}</td>
+            </tr>
+        `).join('');
     }
 }
 
@@ -1668,20 +8313,108 @@ class UIController {
 
 /**
  * Initialize application when DOM is ready
+ * Skipped outside the browser so the engine can be imported under Node
  */
-document.addEventListener('DOMContentLoaded', () => {
-    // Create instances
-    const engine = new SimulationEngine();
-    const charts = new ChartManager();
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', () => {
+        // Create instances
+        // Full trade logs, for analytics and export
+        const engine = new SimulationEngine({ tradeLimit: Infinity });
+        const portfolio = new PortfolioEngine({ tradeLimit: Infinity });
+        const charts = new ChartManager();
     
-    // Initialize charts
-    charts.initialize();
+        // Initialize charts
+        charts.initialize();
     
-    // Create UI controller (binds everything together)
-    const ui = new UIController(engine, charts);
+        // Create UI controller (binds everything together)
+        const ui = new UIController(engine, charts, portfolio);
     
-    // Log initialization
-    console.log('Market Making Simulator initialized');
-    console.log('Available assets:', Object.keys(ASSET_CONFIGS));
-    console.log('Trading config:', TRADING_CONFIG);
-});
+        // Log initialization
+        console.log('Market Making Simulator initialized');
+        console.log('Available assets:', Object.keys(ASSET_CONFIGS));
+        console.log('Trading config:', TRADING_CONFIG);
+    });
+}
+
+
+// Public API for headless use (e.g. scripts/backtest.js under Node)
+export {
+    ASSET_CONFIGS,
+    VOLATILITY_REGIMES,
+    TRADING_CONFIG,
+    FEE_TIERS,
+    DEFAULT_FEE_TIER,
+    DEFAULT_CORRELATIONS,
+    FUNDING_CONFIG,
+    LIQUIDATION_CONFIG,
+    POSITION_MODES,
+    API_ENDPOINTS,
+    SAVED_RUN_STORAGE,
+    SeededRNG,
+    SimulationClock,
+    CandleAggregator,
+    calculateATR,
+    VOLATILITY_ESTIMATORS,
+    DEFAULT_VOLATILITY_ESTIMATOR,
+    roundPrice,
+    formatPrice,
+    calculateQuotes,
+    buildQuotes,
+    QUOTING_STRATEGIES,
+    DEFAULT_QUOTING_STRATEGY,
+    COLLAPSE_POLICIES,
+    PNL_COMPONENTS,
+    HistoryStore,
+    downsampleLTTB,
+    DEFAULT_COLLAPSE_POLICY,
+    LADDER_CONFIG,
+    RISK_CONFIG,
+    ORDER_FLOW_CONFIG,
+    checkKillSwitch,
+    summarizeMarkouts,
+    analyzeTrades,
+    buildPerformanceReport,
+    renderPerformanceReportSections,
+    renderPerformanceReportHTML,
+    LADDER_SPACINGS,
+    LADDER_SIZE_RULES,
+    buildQuoteLadder,
+    getDefaultParams,
+    FILL_MODELS,
+    DEFAULT_FILL_MODEL,
+    PRICE_MODELS,
+    DEFAULT_PRICE_MODEL,
+    parseHistoricalData,
+    HistoricalFeed,
+    PriceSimulator,
+    getCorrelation,
+    choleskyDecompose,
+    CorrelatedShocks,
+    LivePriceFetcher,
+    LIVE_FEED_CONFIG,
+    backoffDelay,
+    parseRetryAfter,
+    MARKET_DATA_SOURCES,
+    DEFAULT_MARKET_DATA_SOURCE,
+    parseBinanceMessage,
+    parseBybitMessage,
+    WebSocketPriceFeed,
+    createMarketDataSource,
+    TradingEngine,
+    SimulationEngine,
+    PortfolioEngine,
+    engineFromManifest,
+    BACKTEST_EPOCH,
+    RUN_MANIFEST_VERSION,
+    runBacktest,
+    findHistoryDivergence,
+    replayRun,
+    SWEEP_PARAMS,
+    SWEEP_METRICS,
+    calculateMaxDrawdown,
+    buildParameterGrid,
+    sampleParameterSpace,
+    evaluateSweepPoint,
+    rankSweepResults,
+    runSweep
+};
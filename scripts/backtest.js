@@ -0,0 +1,160 @@
+// Headless backtest runner
+// Usage: node scripts/backtest.js --asset BTC --ticks 100000 --seed 12345 [--out run.json]
+//        --assets BTC,ETH,SOL runs a cross-margin portfolio instead of --asset
+//        --corr BTC-ETH=0.9,ETH-SOL=0.6 overrides those pairs; the others keep
+//          their default correlations
+//        --price-model gbm|jump|garch|regime (model params keep their defaults)
+//        --data btc-1m.csv quotes against historical candles/trades (CSV or JSON)
+//          instead of simulated prices; runs the whole file unless --ticks is given
+//        --levels 3 --spacing ticks|atr --step 2 --size-rule flat|geometric|inventory
+//          quotes a ladder of levels per side (see LADDER_CONFIG)
+//        --vol-estimator atr|wilder|realized|parkinson|garmanKlass|ewma picks the
+//          volatility input of quotes (estimator params keep their defaults)
+//        --strategy atrSkew|avellanedaStoikov|glft picks the quoting strategy
+//          (strategy params keep their defaults)
+//        --collapse lowBalance|always|marginUtilization|profitable|partial picks
+//          when legs are netted (policy params keep their defaults)
+//        --candle 60 sets the ATR candle duration in seconds (default 5)
+//        --timeframes 60,300 keeps extra candle timeframes (seconds) in the run
+//        --informed 0.3 --informed-move 1 sends 30% of fills from informed takers who
+//          move the price 1 × volatility against us; --markouts 1,5,20 sets horizons
+//        --max-net 0.5 --max-gross 50000 cap net position (asset units) and gross
+//          notional; --max-loss 100 --max-drawdown 10 (%) trip the kill switch
+//        --report report.html|report.json writes the performance report (HTML page
+//          or JSON by extension); --days-per-year 252 changes its annualization
+import { readFileSync, writeFileSync } from 'fs';
+import { basename } from 'path';
+import {
+  DEFAULT_CORRELATIONS, PNL_COMPONENTS, analyzeTrades, buildPerformanceReport, parseHistoricalData, renderPerformanceReportHTML,
+  runBacktest
+} from '../app.js';
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      args[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    }
+  }
+  return args;
+}
+
+const args = parseArgs(process.argv.slice(2));
+
+const options = {
+  asset: args.asset || 'BTC',
+  ticks: parseInt(args.ticks) || 1000,
+  seed: parseInt(args.seed) || 12345,
+  volatilityRegime: args.regime || 'medium',
+  drift: parseFloat(args.drift) || 0
+};
+if (args.assets) options.assets = args.assets.split(',');
+if (args.corr) {
+  options.correlations = { ...DEFAULT_CORRELATIONS };
+  for (const pair of args.corr.split(',')) {
+    const [key, value] = pair.split('=');
+    // Pairs match in either order, so drop the default spelled the other way round
+    delete options.correlations[key.split('-').reverse().join('-')];
+    options.correlations[key] = parseFloat(value);
+  }
+}
+if (args['price-model']) options.priceModel = { name: args['price-model'] };
+if (args.data) {
+  options.historicalData = parseHistoricalData(readFileSync(args.data, 'utf8'), basename(args.data));
+  options.ticks = parseInt(args.ticks) || Infinity;
+}
+if (args.balance) options.initialBalance = parseFloat(args.balance);
+if (args['atr-length']) options.atrLength = parseInt(args['atr-length']);
+if (args.strategy) options.quotingStrategy = { name: args.strategy };
+if (args.collapse) options.collapsePolicy = { name: args.collapse };
+if (args.levels || args.spacing || args.step || args['size-rule']) {
+  options.ladder = {};
+  if (args.levels) options.ladder.levels = parseInt(args.levels);
+  if (args.spacing) options.ladder.spacing = args.spacing;
+  if (args.step) options.ladder.step = parseFloat(args.step);
+  if (args['size-rule']) options.ladder.sizeRule = args['size-rule'];
+}
+if (args.informed || args['informed-move'] || args.markouts) {
+  options.orderFlow = {};
+  if (args.informed) options.orderFlow.informedShare = parseFloat(args.informed);
+  if (args['informed-move']) options.orderFlow.informedMove = parseFloat(args['informed-move']);
+  if (args.markouts) options.orderFlow.markoutHorizons = args.markouts.split(',').map(Number);
+}
+if (args['max-net'] || args['max-gross'] || args['max-loss'] || args['max-drawdown']) {
+  options.risk = { enabled: true };
+  if (args['max-net']) options.risk.maxNetPosition = parseFloat(args['max-net']);
+  if (args['max-gross']) options.risk.maxGrossNotional = parseFloat(args['max-gross']);
+  if (args['max-loss']) options.risk.maxSessionLoss = parseFloat(args['max-loss']);
+  if (args['max-drawdown']) options.risk.maxDrawdown = parseFloat(args['max-drawdown']) / 100;
+}
+if (args['vol-estimator']) options.volatilityEstimator = { name: args['vol-estimator'] };
+if (args.candle || args.timeframes) {
+  options.candles = {};
+  if (args.candle) options.candles.durationMs = parseFloat(args.candle) * 1000;
+  if (args.timeframes) options.candles.timeframes = args.timeframes.split(',').map(s => parseFloat(s) * 1000);
+}
+
+const started = Date.now();
+const result = runBacktest(options);
+const elapsed = Date.now() - started;
+
+const last = result.dataHistory.at(-1);
+console.log(`${result.asset} seed=${result.seed} ticks=${result.ticks} in ${elapsed}ms`);
+console.log(`  equity:       $${last.equity.toFixed(2)}`);
+console.log(`  realized PnL: $${result.finalState.realizedPnL.toFixed(2)}`);
+console.log(`  trades:       ${result.trades.length}`);
+console.log(`  collapses:    ${result.collapses.length}`);
+console.log(`  liquidations: ${result.liquidations.length}`);
+console.log(`  risk events:  ${result.riskEvents.length}`);
+const formatMarkout = (value) => value === null ? '-' : `$${value.toFixed(4)}`;
+for (const markout of result.markouts) {
+  console.log(`  markout +${String(markout.horizon).padEnd(4)} ${formatMarkout(markout.average)}/fill` +
+    ` (informed ${formatMarkout(markout.informedAverage)}, uninformed ${formatMarkout(markout.uninformedAverage)})`);
+}
+const kill = result.riskEvents.find(event => event.action === 'KILL');
+if (kill) {
+  console.log(`  halted:       ${kill.type} at ${kill.isoTimestamp}`);
+}
+const analytics = analyzeTrades(result.trades, {
+  ticks: result.ticks * (options.assets ? options.assets.length : 1),
+  horizons: result.manifest.orderFlow.markoutHorizons
+});
+const fixed = (value, digits, suffix = '') => value === null ? '-' : value.toFixed(digits) + suffix;
+console.log(`  spread earned: ${fixed(analytics.spreadEarnedBps, 2, ' bps')} per round trip`);
+for (const [side, stats] of Object.entries(analytics.sides)) {
+  console.log(`  ${side.padEnd(5)} ${stats.fills} fills, hit ${fixed(stats.hitRate && stats.hitRate * 100, 1, '%')},` +
+    ` edge ${fixed(stats.averageEdgeBps, 2, ' bps')}, held ${fixed(stats.averageHoldingSeconds, 1, 's')}`);
+}
+const report = buildPerformanceReport({
+  history: result.dataHistory,
+  trades: result.trades,
+  collapses: result.collapses,
+  liquidations: result.liquidations,
+  finalState: result.finalState,
+  initialBalance: result.manifest.initialBalance,
+  daysPerYear: parseFloat(args['days-per-year']) || 365
+});
+console.log(`  sharpe ${fixed(report.returns.sharpe, 2)}, sortino ${fixed(report.returns.sortino, 2)},` +
+  ` max drawdown ${fixed(report.drawdown.maxPct * 100, 2, '%')}, turnover ${fixed(report.turnover.ratio, 1, '×')}`);
+const attribution = Object.values(PNL_COMPONENTS).map(({ label, field }) => {
+  const total = result.dataHistory.column(field).reduce((sum, value) => sum + value, 0);
+  return `${label.toLowerCase()} $${total.toFixed(2)}`;
+});
+console.log(`  pnl by source: ${attribution.join(', ')}`);
+if (last.assets) {
+  for (const [asset, leg] of Object.entries(last.assets)) {
+    console.log(`  ${asset.padEnd(4)} margin $${leg.margin.toFixed(2)}, realized $${leg.realizedPnL.toFixed(2)}`);
+  }
+}
+
+if (args.out) {
+  writeFileSync(args.out, JSON.stringify(result, null, 2));
+  console.log(`  written to ${args.out}`);
+}
+if (args.report) {
+  writeFileSync(args.report, args.report.endsWith('.json')
+    ? JSON.stringify(report, null, 2)
+    : renderPerformanceReportHTML(report, `Performance Report: ${result.asset} seed ${result.seed}`));
+  console.log(`  report written to ${args.report}`);
+}
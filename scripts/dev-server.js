@@ -0,0 +1,101 @@
+// Local dev server: serves the app and the /api routes without Vercel
+// Saved runs go to the local KV stand-in (KV_FILE, default .kv-store.json)
+// Only the app's own files are served, and only on 127.0.0.1
+// Usage: node scripts/dev-server.js [--port 3000]
+import http from 'http';
+import { readFile } from 'fs/promises';
+import { extname, join, resolve } from 'path';
+import { fileURLToPath } from 'url';
+
+const ROOT = resolve(fileURLToPath(import.meta.url), '../..');
+
+process.env.KV_FILE = process.env.KV_FILE || join(ROOT, '.kv-store.json');
+
+// Imported after KV_FILE is set so the store picks it up
+const { default: saveData } = await import('../api/save-data.js');
+const { default: getData } = await import('../api/get-data.js');
+
+const API_ROUTES = {
+  '/api/save-data': saveData,
+  '/api/get-data': getData
+};
+
+// Everything else under ROOT (.env, .kv-store.json, .git) stays private
+const STATIC_FILES = ['index.html', 'app.js', 'styles.css'];
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8'
+};
+
+// Add the Vercel helpers (res.status().json()) the handlers rely on
+function withVercelHelpers(res) {
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.setHeader('Content-Type', CONTENT_TYPES['.json']);
+    res.end(JSON.stringify(body));
+    return res;
+  };
+  return res;
+}
+
+async function readBody(req) {
+  const chunks = [];
+  for await (const chunk of req) {
+    chunks.push(chunk);
+  }
+  const text = Buffer.concat(chunks).toString('utf8');
+  if (text && (req.headers['content-type'] || '').includes('application/json')) {
+    return JSON.parse(text);
+  }
+  return text;
+}
+
+async function serveStatic(pathname, res) {
+  const name = pathname === '/' ? 'index.html' : pathname.slice(1);
+  if (!STATIC_FILES.includes(name)) {
+    res.statusCode = 404;
+    return res.end('Not found');
+  }
+
+  const file = join(ROOT, name);
+  try {
+    const content = await readFile(file);
+    res.setHeader('Content-Type', CONTENT_TYPES[extname(file)] || 'application/octet-stream');
+    res.end(content);
+  } catch (error) {
+    res.statusCode = 404;
+    res.end('Not found');
+  }
+}
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  const handler = API_ROUTES[url.pathname];
+
+  if (!handler) {
+    return serveStatic(url.pathname, res);
+  }
+
+  try {
+    req.query = Object.fromEntries(url.searchParams);
+    req.body = await readBody(req);
+    await handler(req, withVercelHelpers(res));
+  } catch (error) {
+    console.error('Error handling', url.pathname, error);
+    withVercelHelpers(res).status(400).json({ error: 'Bad request' });
+  }
+});
+
+const portFlag = process.argv.indexOf('--port');
+const port = parseInt(portFlag > -1 ? process.argv[portFlag + 1] : process.env.PORT) || 3000;
+
+server.listen(port, '127.0.0.1', () => {
+  console.log(`Market Making Simulator at http://127.0.0.1:${port}`);
+  console.log(`Saved runs stored in ${process.env.KV_FILE}`);
+});
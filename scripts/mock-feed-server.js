@@ -0,0 +1,218 @@
+// Mock exchange WebSocket feed for testing live mode offline (the "Local mock" source)
+// Speaks Binance's combined-stream format: /stream?streams=btcusdt@aggTrade/btcusdt@bookTicker
+// Prices follow the simulator's GBM from each asset's initPrice
+// Clients need a WebSocket: the app in a browser, or Node 22+ (Node 20 has none)
+// Usage: node scripts/mock-feed-server.js [--port 8765] [--rate 10] [--seed 12345]
+//        --drop-every 30   close every connection each 30 s (exercises reconnects)
+//        --stall-every 45  go silent for --stall-for seconds (default 15) each 45 s
+//                          (exercises stale-feed detection)
+import http from 'http';
+import { createHash } from 'crypto';
+import { ASSET_CONFIGS, PriceSimulator, SeededRNG } from '../app.js';
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const OPCODES = {
+  text: 0x1,
+  close: 0x8,
+  ping: 0x9,
+  pong: 0xa
+};
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      args[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    }
+  }
+  return args;
+}
+
+const args = parseArgs(process.argv.slice(2));
+const port = parseInt(args.port) || 8765;
+const rate = parseFloat(args.rate) || 10;
+const seed = parseInt(args.seed) || 12345;
+const dropEveryMs = (parseFloat(args['drop-every']) || 0) * 1000;
+const stallEveryMs = (parseFloat(args['stall-every']) || 0) * 1000;
+const stallForMs = (parseFloat(args['stall-for']) || 15) * 1000;
+
+// Server frames are never masked
+function encodeFrame(payload, opcode = OPCODES.text) {
+  const body = Buffer.from(payload);
+  let header;
+  if (body.length < 126) {
+    header = Buffer.from([0x80 | opcode, body.length]);
+  } else if (body.length < 65536) {
+    header = Buffer.alloc(4);
+    header[1] = 126;
+    header.writeUInt16BE(body.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(body.length), 2);
+  }
+  header[0] = 0x80 | opcode;
+  return Buffer.concat([header, body]);
+}
+
+// Split buffered client data into complete frames (client frames are masked)
+function readFrames(buffer) {
+  const frames = [];
+  while (buffer.length >= 2) {
+    const opcode = buffer[0] & 0x0f;
+    const masked = (buffer[1] & 0x80) !== 0;
+    let length = buffer[1] & 0x7f;
+    let offset = 2;
+    if (length === 126) {
+      if (buffer.length < 4) break;
+      length = buffer.readUInt16BE(2);
+      offset = 4;
+    } else if (length === 127) {
+      if (buffer.length < 10) break;
+      length = Number(buffer.readBigUInt64BE(2));
+      offset = 10;
+    }
+    const mask = masked ? buffer.subarray(offset, offset + 4) : null;
+    if (masked) offset += 4;
+    if (buffer.length < offset + length) break;
+
+    const payload = Buffer.from(buffer.subarray(offset, offset + length));
+    if (mask) {
+      for (let i = 0; i < payload.length; i++) {
+        payload[i] ^= mask[i % 4];
+      }
+    }
+    frames.push({ opcode, payload });
+    buffer = buffer.subarray(offset + length);
+  }
+  return { frames, rest: buffer };
+}
+
+// Asset key for an exchange symbol such as 'btcusdt'
+function findAsset(symbol) {
+  return Object.keys(ASSET_CONFIGS).find(asset => ASSET_CONFIGS[asset].symbol.toLowerCase() === symbol);
+}
+
+const clients = new Set();
+let stalledUntil = 0;
+let tradeId = 0;
+
+function startStreams(socket, symbols) {
+  const intervalMs = 1000 / rate;
+  const feeds = symbols.map((symbol, i) => {
+    const asset = findAsset(symbol);
+    return {
+      symbol: symbol,
+      config: ASSET_CONFIGS[asset],
+      simulator: new PriceSimulator(asset, new SeededRNG(seed + i))
+    };
+  });
+
+  const send = (stream, data) => socket.write(encodeFrame(JSON.stringify({ stream, data })));
+
+  return setInterval(() => {
+    const now = Date.now();
+    if (now < stalledUntil) return;
+
+    for (const feed of feeds) {
+      const { config, symbol } = feed;
+      const price = feed.simulator.generateTick(intervalMs / 1000 / 86400, now);
+      const digits = Math.max(2, config.decimals);
+      const half = config.tickSize / 2;
+
+      send(`${symbol}@aggTrade`, {
+        e: 'aggTrade',
+        E: now,
+        s: symbol.toUpperCase(),
+        a: ++tradeId,
+        p: price.toFixed(digits),
+        q: (config.maxPosition / 50).toFixed(4),
+        T: now,
+        m: tradeId % 2 === 0
+      });
+      send(`${symbol}@bookTicker`, {
+        u: tradeId,
+        s: symbol.toUpperCase(),
+        b: (price - half).toFixed(digits),
+        B: '1.0000',
+        a: (price + half).toFixed(digits),
+        A: '1.0000'
+      });
+    }
+  }, intervalMs);
+}
+
+const server = http.createServer((req, res) => {
+  res.statusCode = 426;
+  res.end('Connect with WebSocket: /stream?streams=btcusdt@aggTrade/btcusdt@bookTicker');
+});
+
+server.on('upgrade', (req, socket) => {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  const symbols = [...new Set((url.searchParams.get('streams') || '')
+    .split('/')
+    .filter(Boolean)
+    .map(stream => stream.split('@')[0].toLowerCase()))];
+  const key = req.headers['sec-websocket-key'];
+
+  if (!key || url.pathname !== '/stream' || symbols.length === 0 || !symbols.every(findAsset)) {
+    socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+    return;
+  }
+
+  const accept = createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+  socket.write([
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Accept: ${accept}`,
+    '', ''
+  ].join('\r\n'));
+
+  clients.add(socket);
+  const timer = startStreams(socket, symbols);
+  console.log(`+ client streaming ${symbols.join(', ')} (${clients.size} connected)`);
+
+  let buffered = Buffer.alloc(0);
+  socket.on('data', (chunk) => {
+    const { frames, rest } = readFrames(Buffer.concat([buffered, chunk]));
+    buffered = rest;
+    for (const frame of frames) {
+      if (frame.opcode === OPCODES.ping) {
+        socket.write(encodeFrame(frame.payload, OPCODES.pong));
+      } else if (frame.opcode === OPCODES.close) {
+        socket.end(encodeFrame(frame.payload, OPCODES.close));
+      }
+    }
+  });
+
+  const cleanup = () => {
+    clearInterval(timer);
+    if (clients.delete(socket)) {
+      console.log(`- client disconnected (${clients.size} connected)`);
+    }
+  };
+  socket.on('close', cleanup);
+  socket.on('error', cleanup);
+});
+
+if (dropEveryMs > 0) {
+  setInterval(() => {
+    console.log(`dropping ${clients.size} connection(s)`);
+    // 1001 = going away
+    clients.forEach(socket => socket.end(encodeFrame(Buffer.from([0x03, 0xe9]), OPCODES.close)));
+  }, dropEveryMs);
+}
+
+if (stallEveryMs > 0) {
+  setInterval(() => {
+    console.log(`stalling for ${stallForMs / 1000}s`);
+    stalledUntil = Date.now() + stallForMs;
+  }, stallEveryMs);
+}
+
+server.listen(port, () => {
+  console.log(`Mock feed at ws://localhost:${port}/stream (${rate} trades/s per symbol)`);
+});
@@ -0,0 +1,90 @@
+// Parameter sweep over kVol, kPos, maxPosition and ATR length
+// Grid:   node scripts/sweep.js --asset SOL --kvol 0.2,0.3,0.4 --kpos 0.3,0.5 --seeds 3
+// Random: node scripts/sweep.js --asset SOL --samples 50 --kvol 0.1:0.6 --atr-length 5:50
+// Adverse selection: --informed 0.3 [--informed-move 1] --metric markout
+import { writeFileSync } from 'fs';
+import { runSweep, SWEEP_METRICS } from '../app.js';
+
+const PARAM_FLAGS = {
+  kvol: 'kVol',
+  kpos: 'kPos',
+  maxpos: 'maxPosition',
+  'atr-length': 'atrLength'
+};
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      args[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    }
+  }
+  return args;
+}
+
+const args = parseArgs(process.argv.slice(2));
+const samples = parseInt(args.samples) || 0;
+const baseSeed = parseInt(args.seed) || 12345;
+const seedCount = parseInt(args.seeds) || 1;
+const metric = args.metric || 'finalEquity';
+
+if (!SWEEP_METRICS[metric]) {
+  console.error(`Unknown metric "${metric}". Use one of: ${Object.keys(SWEEP_METRICS).join(', ')}`);
+  process.exit(1);
+}
+
+// --kvol 0.1,0.2 is a list of grid values, --kvol 0.1:0.5 a range for random search
+const space = {};
+for (const [flag, key] of Object.entries(PARAM_FLAGS)) {
+  if (args[flag] === undefined) continue;
+  space[key] = samples > 0
+    ? args[flag].split(':').map(Number)
+    : args[flag].split(',').map(Number);
+}
+
+if (Object.keys(space).length === 0) {
+  console.error('Nothing to sweep: pass at least one of --kvol, --kpos, --maxpos, --atr-length');
+  process.exit(1);
+}
+
+const options = {
+  asset: args.asset || 'BTC',
+  ticks: parseInt(args.ticks) || 2000,
+  seeds: Array.from({ length: seedCount }, (_, i) => baseSeed + i),
+  volatilityRegime: args.regime || 'medium',
+  metric: metric
+};
+if (args.informed || args['informed-move']) {
+  options.orderFlow = {};
+  if (args.informed) options.orderFlow.informedShare = parseFloat(args.informed);
+  if (args['informed-move']) options.orderFlow.informedMove = parseFloat(args['informed-move']);
+}
+if (samples > 0) {
+  options.ranges = space;
+  options.samples = samples;
+  options.sampleSeed = baseSeed;
+} else {
+  options.grid = space;
+}
+
+const started = Date.now();
+const results = runSweep(options);
+console.log(`${results.length} points × ${seedCount} seeds × ${options.ticks} ticks in ${Date.now() - started}ms, ranked by ${metric}`);
+
+const top = parseInt(args.top) || 20;
+console.table(results.slice(0, top).map(r => ({
+  rank: r.rank,
+  ...r.params,
+  finalEquity: +r.finalEquity.toFixed(2),
+  realizedPnL: +r.realizedPnL.toFixed(2),
+  collapses: +r.collapses.toFixed(1),
+  liquidations: +r.liquidations.toFixed(1),
+  maxDrawdown: +r.maxDrawdown.toFixed(2),
+  markout: +r.markout.toFixed(4)
+})));
+
+if (args.out) {
+  writeFileSync(args.out, JSON.stringify(results, null, 2));
+  console.log(`written to ${args.out}`);
+}